@@ -9,6 +9,25 @@ import { status } from '../src/commands/status.js';
 import { sync } from '../src/commands/sync.js';
 import { exportData } from '../src/commands/export.js';
 import { add, remove, list } from '../src/commands/add.js';
+import { history } from '../src/commands/history.js';
+import { restore, reset } from '../src/commands/restore.js';
+import { watch } from '../src/commands/watch.js';
+import {
+  snapshotSave,
+  snapshotRestore,
+  snapshotList,
+  snapshotDelete,
+  snapshotPush,
+  snapshotPull,
+} from '../src/commands/snapshot.js';
+import { usersCreate, usersList, usersDelete } from '../src/commands/users.js';
+import { token } from '../src/commands/token.js';
+import { branchSwitch, branchInstallHook, branchUninstallHook } from '../src/commands/branch.js';
+
+// Repeatable options collect into an array
+function collect(value, previous = []) {
+  return [...previous, value];
+}
 
 program
   .name('supabase-stateful')
@@ -42,11 +61,134 @@ program
   .description('Show current status')
   .action(status);
 
+program
+  .command('watch')
+  .description('Autosave state periodically while Supabase is running')
+  .option('--interval <minutes>', 'Minutes between autosaves (default: config autosave.interval)')
+  .action(watch);
+
+program
+  .command('history')
+  .description('List timestamped state saves kept by stop')
+  .action(history);
+
+program
+  .command('restore')
+  .description('Restore saved state into the running database')
+  .option('--from <timestamp>', 'Restore a history entry (see `history`)')
+  .option('--drift', 'Map the snapshot onto the current schema (tolerates renamed/dropped columns)')
+  .option('--clean', 'Empty the captured tables first so the data matches the snapshot exactly')
+  .action(restore);
+
+program
+  .command('reset')
+  .description('Reset the database to the saved state, discarding changes since (restore --clean)')
+  .option('--from <timestamp>', 'Reset to a history entry (see `history`)')
+  .option('--drift', 'Map the snapshot onto the current schema (tolerates renamed/dropped columns)')
+  .action(reset);
+
+const snapshot = program
+  .command('snapshot')
+  .description('Manage named database snapshots');
+
+snapshot
+  .command('save <name>')
+  .description('Save current database state as a named snapshot')
+  .option('--mask', 'Apply the masking rules from config (for snapshots you share)')
+  .action(snapshotSave);
+
+snapshot
+  .command('restore <name>')
+  .description('Restore a named snapshot into the running database')
+  .option('--drift', 'Map the snapshot onto the current schema (tolerates renamed/dropped columns)')
+  .option('--clean', 'Empty the captured tables first so the data matches the snapshot exactly')
+  .action(snapshotRestore);
+
+snapshot
+  .command('list')
+  .description('List snapshots with size, date and row counts')
+  .option('--remote', 'List the snapshots on the configured remote instead')
+  .action(snapshotList);
+
+snapshot
+  .command('delete <name>')
+  .description('Delete a named snapshot')
+  .action(snapshotDelete);
+
+snapshot
+  .command('push <name>')
+  .description('Upload a snapshot to the configured remote for the team')
+  .option('--as <name>', 'Name to store it under on the remote')
+  .option('--force', 'Overwrite a snapshot with the same name on the remote')
+  .action(snapshotPush);
+
+snapshot
+  .command('pull <name>')
+  .description('Download a snapshot from the configured remote')
+  .option('--as <name>', 'Local name to save it as')
+  .option('--force', 'Overwrite a local snapshot, or pull despite a migration mismatch or missing manifest')
+  .action(snapshotPull);
+
+const users = program
+  .command('users')
+  .description('Manage test users in the local auth schema');
+
+users
+  .command('create')
+  .description('Create a confirmed email/password user')
+  .requiredOption('--email <email>', 'Email to sign in with')
+  .requiredOption('--password <password>', 'Password to sign in with')
+  .option('--role <role>', 'Role in the user\'s JWTs', 'authenticated')
+  .option('--metadata <json>', 'user_metadata as JSON, e.g. \'{"name": "Coach"}\'')
+  .action(usersCreate);
+
+users
+  .command('list')
+  .description('List local users')
+  .action(usersList);
+
+users
+  .command('delete <user>')
+  .description('Delete a user by id or email')
+  .action(usersDelete);
+
+program
+  .command('token')
+  .description('Print a signed access token for the local API, as a user or role')
+  .option('--user <user>', 'Email or id of the user to act as')
+  .option('--role <role>', 'Role claim (default: the user\'s role, or pass e.g. service_role without --user)')
+  .option('--exp <duration>', 'Lifetime, e.g. 30m, 1h, 7d', '1h')
+  .option('--curl', 'Print a curl command with the apikey and Authorization headers')
+  .action(token);
+
+const branch = program
+  .command('branch')
+  .description('Per-git-branch state (enable with "branchMode": true)');
+
+branch
+  .command('switch')
+  .description('Save the previous branch\'s state and restore the current branch\'s')
+  .option('--from <branch>', 'Branch being left (defaults to the previously checked-out branch)')
+  .action(branchSwitch);
+
+branch
+  .command('install-hook')
+  .description('Install a git post-checkout hook that runs `branch switch`')
+  .action(branchInstallHook);
+
+branch
+  .command('uninstall-hook')
+  .description('Remove the post-checkout hook')
+  .action(branchUninstallHook);
+
 program
   .command('sync')
   .description('Sync cloud data to local database')
   .option('--sample', 'Limit to 100 rows per table')
   .option('--tables <tables>', 'Comma-separated list of tables')
+  .option('--root <table:column=value>', 'Subset: start from matching rows and follow foreign keys (repeatable)', collect)
+  .option('--where <condition>', 'Subset root as a condition, e.g. "coaches.email like \'%@ourco.com\'" (repeatable)', collect)
+  .option('--limit <rows>', 'Max rows per table in a subset (default: config cloud.subsetLimit)')
   .action(sync);
 
 program
@@ -55,6 +197,9 @@ program
   .option('--sample', 'Limit to 100 rows per table')
   .option('--tables <tables>', 'Comma-separated list of tables')
   .option('--output <path>', 'Output file path')
+  .option('--root <table:column=value>', 'Subset: start from matching rows and follow foreign keys (repeatable)', collect)
+  .option('--where <condition>', 'Subset root as a condition, e.g. "coaches.email like \'%@ourco.com\'" (repeatable)', collect)
+  .option('--limit <rows>', 'Max rows per table in a subset (default: config cloud.subsetLimit)')
   .action(exportData);
 
 program
@@ -0,0 +1,154 @@
+/**
+ * Branch commands - per-git-branch state (needs "branchMode": true)
+ *
+ * Usage:
+ *   npx supabase-stateful branch switch              # after a checkout: save/reset/restore
+ *   npx supabase-stateful branch install-hook        # run switch on every checkout
+ *   npx supabase-stateful branch uninstall-hook
+ *
+ * Switch flow (only while Supabase is running - otherwise start handles it):
+ * 1. Save the database to the previous branch's state file
+ * 2. Reset the database to the checked-out branch's migrations
+ * 3. Restore the checked-out branch's state (or the default branch's)
+ */
+
+import { spawnSync } from 'child_process';
+import { saveState, restoreState, stateExists } from '../lib/state.js';
+import {
+  getCurrentBranch,
+  getPreviousBranch,
+  resolveStateFile,
+  installHook,
+  uninstallHook,
+} from '../lib/branches.js';
+import { getConfig } from '../lib/config.js';
+import { isRunning } from '../lib/docker.js';
+import { printRestoreSummary, hasDataLoss } from '../lib/restore-report.js';
+import { log } from '../utils/log.js';
+
+export async function branchSwitch(options) {
+  const config = await getConfig();
+  if (!config.branchMode) {
+    log.warn('Branch mode is off');
+    console.log('');
+    console.log('Enable it with "branchMode": true in .supabase-stateful.json');
+    return;
+  }
+
+  const current = getCurrentBranch();
+  const previous = options.from || getPreviousBranch();
+
+  if (!current) {
+    log.dim('Detached HEAD - keeping the current database');
+    return;
+  }
+  if (!previous || previous === current) {
+    log.dim(`Still on ${current} - nothing to switch`);
+    return;
+  }
+  if (!isRunning()) {
+    log.info(`Supabase is not running - the next start restores the state for ${current}`);
+    return;
+  }
+
+  log.info(`Switching database state: ${previous} -> ${current}`);
+
+  // 1. Save the branch we're leaving - never reset without a good save
+  const { file: previousFile } = await resolveStateFile({ branch: previous });
+  try {
+    if (!await saveState(previousFile)) {
+      throw new Error('no tables found to export');
+    }
+    log.success(`Saved state for ${previous}`);
+  } catch (err) {
+    log.error(`Failed to save state for ${previous}: ${err.message}`);
+    console.log('');
+    console.log('The database was left as it is.');
+    process.exit(1);
+  }
+
+  // 2. Rebuild the schema from this branch's migrations
+  // Seed only when there's no saved state to restore on top
+  const { file, fallback } = await resolveStateFile({ restoring: true });
+  const hasState = await stateExists(file);
+
+  log.info(`Resetting database to the migrations on ${current}...`);
+  const reset = spawnSync('supabase', ['db', 'reset', ...(hasState ? ['--no-seed'] : [])], {
+    stdio: 'inherit',
+    shell: true,
+  });
+  if (reset.status !== 0) {
+    log.error('Database reset failed');
+    console.log('');
+    console.log(`State for ${previous} is saved in ${previousFile}`);
+    process.exit(1);
+  }
+
+  // 3. Restore this branch's state
+  if (!hasState) {
+    log.success(`Switched to ${current} (no saved state yet - database was seeded fresh)`);
+    return;
+  }
+
+  log.info(fallback
+    ? `No saved state for ${current} yet - restoring from ${fallback}...`
+    : `Restoring state for ${current}...`);
+
+  let result;
+  try {
+    result = await restoreState(file);
+  } catch (err) {
+    log.error(`Failed to restore state: ${err.message}`);
+    process.exit(1);
+  }
+
+  printRestoreSummary(result.errors, result.shortTables);
+  if (hasDataLoss(result.errors, result.shortTables)) {
+    log.error(`Switched to ${current} with errors - some rows were not restored`);
+    process.exit(1);
+  }
+
+  log.success(`Switched to ${current}`);
+}
+
+export async function branchInstallHook() {
+  let result;
+  try {
+    result = await installHook();
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  if (!result.installed) {
+    log.warn(`${result.path} already exists and wasn't written by supabase-stateful`);
+    console.log('');
+    console.log('Add this line to it to switch state on checkout:');
+    console.log('  [ "$3" = "1" ] && npx --no-install supabase-stateful branch switch');
+    process.exit(1);
+  }
+
+  log.success(`Installed ${result.path}`);
+
+  const config = await getConfig();
+  if (!config.branchMode) {
+    console.log('');
+    log.warn('Branch mode is off - the hook does nothing until you set "branchMode": true');
+  }
+}
+
+export async function branchUninstallHook() {
+  let result;
+  try {
+    result = await uninstallHook();
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  if (result.removed) {
+    log.success(`Removed ${result.path}`);
+  } else {
+    log.info('No supabase-stateful post-checkout hook installed');
+  }
+}
@@ -5,6 +5,9 @@
  * --sample    Limit to 100 rows per table
  * --tables    Comma-separated list of tables
  * --output    Output file path (default: supabase/seed-data.sql)
+ * --root      Subset root, table:column=value (repeatable)
+ * --where     Subset root as a condition, "table.column <op> value" (repeatable)
+ * --limit     Max rows per table in a subset
  */
 
 import { exportCloudData } from '../lib/cloud.js';
@@ -18,6 +21,9 @@ export async function exportData(options) {
       sample: options.sample,
       tables: options.tables,
       output: options.output || 'supabase/seed-data.sql',
+      roots: options.root,
+      where: options.where,
+      subsetLimit: options.limit,
     });
 
     console.log('');
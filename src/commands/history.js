@@ -0,0 +1,33 @@
+/**
+ * History command - list timestamped saves kept by stop
+ *
+ * Roll back to one with: supabase-stateful restore --from <timestamp>
+ */
+
+import { listHistory } from '../lib/history.js';
+import { getConfig } from '../lib/config.js';
+import { log } from '../utils/log.js';
+
+export async function history() {
+  const config = await getConfig();
+  const entries = await listHistory();
+
+  console.log('');
+  if (entries.length === 0) {
+    log.info('No history yet');
+    console.log('');
+    console.log('A history entry is recorded every time you run: supabase-stateful stop');
+    console.log('');
+    return;
+  }
+
+  const { keepLast = 10, keepDailyDays = 7 } = config.history || {};
+  console.log(`State history (keeping last ${keepLast}, plus daily for ${keepDailyDays} days):`);
+  console.log('');
+  for (const entry of entries) {
+    console.log(`  ${entry.id}  ${entry.size.padStart(9)}  ${entry.date.toLocaleString()}`);
+  }
+  console.log('');
+  console.log('Restore one with: supabase-stateful restore --from <timestamp>');
+  console.log('');
+}
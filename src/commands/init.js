@@ -71,9 +71,9 @@ export async function init() {
     }
   }
 
-  // Add state file and backup to .gitignore
-  await appendIfMissing('.gitignore', 'supabase/local-state.sql');
-  await appendIfMissing('.gitignore', 'supabase/local-state.sql.backup');
+  // Add state file, snapshots and history to .gitignore
+  await appendIfMissing('.gitignore', 'supabase/local-state.*');
+  await appendIfMissing('.gitignore', 'supabase/snapshots/');
   log.success('Added state files to .gitignore');
 
   console.log('');
@@ -0,0 +1,108 @@
+/**
+ * Restore command - load saved state into the running database
+ *
+ * Usage:
+ *   npx supabase-stateful restore                      # restore the state file
+ *   npx supabase-stateful restore --from <timestamp>   # restore a history entry
+ *   npx supabase-stateful restore --drift              # map onto the current schema
+ *   npx supabase-stateful restore --clean              # empty captured tables first
+ *   npx supabase-stateful reset                        # same as restore --clean
+ *
+ * Restoring from history also makes that entry the current state file
+ * (the branch's state file in branch mode), so the next start picks up
+ * the rolled-back data. The entry is restored from where it is and only copied
+ * over the state file once it has restored cleanly, so an entry that is corrupt
+ * or needs another key never costs the current state.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { restoreState, stateExists } from '../lib/state.js';
+import { findHistoryEntry, copyManifest } from '../lib/history.js';
+import { withFormat, detectFormat, removeOtherVariants } from '../lib/formats.js';
+import { copyStorageArchive } from '../lib/storage.js';
+import { resolveStateFile } from '../lib/branches.js';
+import { isRunning } from '../lib/docker.js';
+import { printRestoreSummary, hasDataLoss } from '../lib/restore-report.js';
+import { log } from '../utils/log.js';
+
+export async function restore(options) {
+  if (!isRunning()) {
+    log.error('Supabase is not running');
+    console.log('');
+    console.log('Start it first: supabase-stateful start');
+    process.exit(1);
+  }
+
+  const { file } = await resolveStateFile({ restoring: !options.from });
+  let source = file;
+  let entry = null;
+
+  if (options.from) {
+    entry = await findHistoryEntry(options.from);
+    if (!entry) {
+      log.error(`No history entry matches "${options.from}"`);
+      console.log('');
+      console.log('See available entries: supabase-stateful history');
+      process.exit(1);
+    }
+
+    log.info(`Rolling back to ${entry.id}...`);
+    source = entry.path;
+  } else if (!await stateExists(file)) {
+    log.error('No saved state found');
+    process.exit(1);
+  }
+
+  log.info('Restoring saved state...');
+  let result;
+  try {
+    result = await restoreState(source, {
+      mode: options.drift ? 'drift' : undefined,
+      clean: options.clean,
+    });
+  } catch (err) {
+    log.error(`Failed to restore state: ${err.message}`);
+    process.exit(1);
+  }
+
+  printRestoreSummary(result.errors, result.shortTables);
+  if (hasDataLoss(result.errors, result.shortTables)) {
+    log.error('State restored with errors - some rows were not restored');
+    if (entry) {
+      console.log('');
+      console.log(`The state file was left as it was - ${entry.id} is still in history`);
+    }
+    process.exit(1);
+  }
+
+  if (entry) {
+    try {
+      await makeCurrent(entry.path, file);
+    } catch (err) {
+      log.error(`Restored ${entry.id}, but couldn't make it the state file: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  log.success('State restored');
+}
+
+/**
+ * Copy a history entry (with its manifest and storage archive) over the state file
+ */
+async function makeCurrent(entryPath, file) {
+  const target = withFormat(file, await detectFormat(entryPath));
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.copyFile(entryPath, target);
+  await copyManifest(entryPath, target);
+  await copyStorageArchive(entryPath, target);
+  await removeOtherVariants(target);
+}
+
+/**
+ * Reset the database to the saved state - rows added or edited since are discarded
+ */
+export async function reset(options) {
+  return restore({ ...options, clean: true });
+}
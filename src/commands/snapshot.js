@@ -0,0 +1,383 @@
+/**
+ * Snapshot command - manage multiple named database states
+ *
+ * Usage:
+ *   npx supabase-stateful snapshot save <name> [--mask]
+ *   npx supabase-stateful snapshot restore <name> [--drift] [--clean]
+ *   npx supabase-stateful snapshot list [--remote]
+ *   npx supabase-stateful snapshot delete <name>
+ *   npx supabase-stateful snapshot push <name> [--as <remote-name>] [--force]
+ *   npx supabase-stateful snapshot pull <name> [--as <local-name>] [--force]
+ *
+ * The "default" snapshot is the state file used by start/stop.
+ * push/pull share snapshots through the store in config.remote (see lib/remote.js).
+ */
+
+import { saveState, restoreState, formatBytes } from '../lib/state.js';
+import { isRunning } from '../lib/docker.js';
+import { getConfig } from '../lib/config.js';
+import {
+  getSnapshotPath,
+  snapshotExists,
+  listSnapshots,
+  deleteSnapshot,
+  isValidSnapshotName,
+} from '../lib/snapshots.js';
+import {
+  createRemote,
+  listRemoteSnapshots,
+  findRemoteSnapshot,
+  readRemoteManifest,
+  pushSnapshot,
+  pullSnapshot,
+} from '../lib/remote.js';
+import { checkMigrationCompatibility } from '../lib/manifest.js';
+import { FORMATS } from '../lib/formats.js';
+import { printRestoreSummary, hasDataLoss } from '../lib/restore-report.js';
+import { log } from '../utils/log.js';
+
+/**
+ * Save the current database state as a named snapshot
+ */
+export async function snapshotSave(name, options = {}) {
+  checkName(name);
+  requireRunning();
+
+  const filePath = await getSnapshotPath(name);
+  log.info(`Saving ${options.mask ? 'masked ' : ''}snapshot "${name}"...`);
+
+  let savedFile;
+  try {
+    savedFile = await saveState(filePath, { mask: options.mask });
+  } catch (err) {
+    log.error(`Failed to save snapshot: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!savedFile) {
+    process.exit(1);
+  }
+
+  log.success(`Snapshot saved to ${savedFile}`);
+}
+
+/**
+ * Restore a named snapshot into the running database
+ */
+export async function snapshotRestore(name, options = {}) {
+  checkName(name);
+  requireRunning();
+
+  if (!await snapshotExists(name)) {
+    log.error(`Snapshot "${name}" not found`);
+    console.log('');
+    console.log('See available snapshots: supabase-stateful snapshot list');
+    process.exit(1);
+  }
+
+  log.info(`Restoring snapshot "${name}"...`);
+  let result;
+  try {
+    result = await restoreState(await getSnapshotPath(name), {
+      mode: options.drift ? 'drift' : undefined,
+      clean: options.clean,
+    });
+  } catch (err) {
+    log.error(`Failed to restore snapshot: ${err.message}`);
+    process.exit(1);
+  }
+
+  printRestoreSummary(result.errors, result.shortTables);
+  if (hasDataLoss(result.errors, result.shortTables)) {
+    log.error(`Snapshot "${name}" restored with errors - some rows were not restored`);
+    process.exit(1);
+  }
+
+  log.success(`Snapshot "${name}" restored`);
+}
+
+/**
+ * List saved snapshots with size, date and row counts
+ */
+export async function snapshotList(options = {}) {
+  if (options.remote) {
+    return listRemote();
+  }
+
+  const snapshots = await listSnapshots();
+
+  console.log('');
+  if (snapshots.length === 0) {
+    log.info('No snapshots saved yet');
+    console.log('');
+    console.log('Create one with: supabase-stateful snapshot save <name>');
+    console.log('');
+    return;
+  }
+
+  console.log('Snapshots:');
+  for (const snap of snapshots) {
+    console.log('');
+    console.log(`  ${snap.name}`);
+    console.log(`    Path: ${snap.path}`);
+    console.log(`    Format: ${snap.format}${snap.encrypted ? ' (encrypted)' : ''}`);
+    console.log(`    Size: ${snap.size}`);
+    console.log(`    Saved: ${snap.modified.toLocaleString()}`);
+    if (snap.manifest) {
+      const { migration, git } = snap.manifest;
+      console.log(`    Migration: ${migration || 'unknown'}`);
+      if (git?.branch) {
+        console.log(`    Git: ${git.branch} @ ${git.commit?.slice(0, 7)}`);
+      }
+      if (snap.manifest.masked) {
+        console.log('    Masked: yes');
+      }
+      if (snap.manifest.storage) {
+        console.log(`    Storage files: ${formatBytes(snap.manifest.storage.size)}`);
+      }
+    }
+
+    if (!snap.rowCounts) {
+      console.log(`    Rows: not available ${snap.encrypted ? 'without the key' : 'for this format'}`);
+      continue;
+    }
+
+    const tables = Object.keys(snap.rowCounts).length;
+    const rows = Object.values(snap.rowCounts).reduce((sum, n) => sum + n, 0);
+    console.log(`    Rows: ${rows} across ${tables} table(s)`);
+    for (const [table, count] of Object.entries(snap.rowCounts)) {
+      log.dim(`      ${table.padEnd(36)} ${count}`);
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Delete a named snapshot
+ */
+export async function snapshotDelete(name) {
+  checkName(name);
+
+  if (!await deleteSnapshot(name)) {
+    log.error(`Snapshot "${name}" not found`);
+    process.exit(1);
+  }
+
+  log.success(`Deleted snapshot "${name}"`);
+}
+
+/**
+ * Upload a snapshot to the team remote
+ */
+export async function snapshotPush(name, options = {}) {
+  checkName(name);
+  const remoteName = options.as || name;
+  checkName(remoteName);
+  const remote = await requireRemote();
+
+  if (!await snapshotExists(name)) {
+    log.error(`Snapshot "${name}" not found`);
+    console.log('');
+    console.log('See available snapshots: supabase-stateful snapshot list');
+    process.exit(1);
+  }
+
+  try {
+    if (!options.force && await findRemoteSnapshot(remote, remoteName)) {
+      log.error(`"${remoteName}" already exists on ${remote.describe}`);
+      console.log('');
+      console.log('Overwrite it with --force, or push under another name with --as <name>');
+      process.exit(1);
+    }
+
+    log.info(`Pushing snapshot "${name}" to ${remote.describe}...`);
+    const { manifest } = await pushSnapshot(remote, name, remoteName);
+    if (!manifest) {
+      log.warn('Snapshot has no manifest - whoever pulls it needs --force, and can\'t check it against their migrations');
+    }
+  } catch (err) {
+    log.error(`Failed to push snapshot: ${err.message}`);
+    process.exit(1);
+  }
+
+  log.success(`Pushed "${name}" as "${remoteName}"`);
+}
+
+/**
+ * Download a snapshot from the team remote
+ * The manifest is checked against this checkout's migrations first: a snapshot
+ * saved with migrations you don't have won't restore cleanly, so it's refused
+ * unless forced. So is a snapshot without a manifest - it may be mid-push, and
+ * without checksums a partial download can't be told from a complete one.
+ */
+export async function snapshotPull(name, options = {}) {
+  checkName(name);
+  const localName = options.as || name;
+  checkName(localName);
+  const remote = await requireRemote();
+
+  if (!options.force && await snapshotExists(localName)) {
+    log.error(`Snapshot "${localName}" already exists locally`);
+    console.log('');
+    console.log('Overwrite it with --force, or pull under another name with --as <name>');
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    if (!await findRemoteSnapshot(remote, name)) {
+      log.error(`Snapshot "${name}" not found on ${remote.describe}`);
+      console.log('');
+      console.log('See available snapshots: supabase-stateful snapshot list --remote');
+      process.exit(1);
+    }
+
+    const manifest = await readRemoteManifest(remote, name);
+    if (!manifest) {
+      if (!options.force) {
+        log.error(`Snapshot "${name}" has no manifest on ${remote.describe}`);
+        console.log('');
+        console.log('It may still be uploading (the manifest is written last), or was pushed without one.');
+        console.log('Try again in a moment, or pull it unchecked with --force');
+        process.exit(1);
+      }
+      log.warn('Snapshot has no manifest - the download can\'t be checked for corruption');
+    }
+
+    const compatibility = await checkMigrationCompatibility(manifest);
+    if (!printCompatibility(compatibility) && !options.force) {
+      console.log('');
+      console.log('Pull the matching code first, or pull anyway with --force');
+      process.exit(1);
+    }
+
+    log.info(`Pulling snapshot "${name}" from ${remote.describe}...`);
+    result = await pullSnapshot(remote, name, localName, { unverified: options.force });
+  } catch (err) {
+    log.error(`Failed to pull snapshot: ${err.message}`);
+    process.exit(1);
+  }
+
+  log.success(`Pulled "${name}" to ${result.file}`);
+  console.log('');
+  console.log(`Restore it with: supabase-stateful snapshot restore ${localName}`);
+}
+
+/**
+ * List the snapshots on the team remote
+ */
+async function listRemote() {
+  const remote = await requireRemote();
+
+  let snapshots;
+  try {
+    snapshots = await listRemoteSnapshots(remote);
+  } catch (err) {
+    log.error(`Failed to list remote snapshots: ${err.message}`);
+    process.exit(1);
+  }
+
+  console.log('');
+  if (snapshots.length === 0) {
+    log.info(`No snapshots on ${remote.describe} yet`);
+    console.log('');
+    console.log('Share one with: supabase-stateful snapshot push <name>');
+    console.log('');
+    return;
+  }
+
+  console.log(`Remote snapshots (${remote.describe}):`);
+  for (const snap of snapshots) {
+    console.log('');
+    console.log(`  ${snap.name}`);
+    console.log(`    Format: ${FORMATS[snap.format].label}${snap.manifest?.encrypted ? ' (encrypted)' : ''}`);
+    console.log(`    Size: ${formatBytes(snap.size)}`);
+    if (!snap.manifest) {
+      continue;
+    }
+    const { migration, git, createdAt } = snap.manifest;
+    console.log(`    Saved: ${new Date(createdAt).toLocaleString()}`);
+    console.log(`    Migration: ${migration || 'unknown'}`);
+    if (git?.branch) {
+      console.log(`    Git: ${git.branch} @ ${git.commit?.slice(0, 7)}`);
+    }
+    if (snap.manifest.masked) {
+      console.log('    Masked: yes');
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Print how a snapshot's migration relates to this checkout
+ * Returns false if it needs migrations that aren't here
+ */
+function printCompatibility({ status, migration, latest, pending }) {
+  switch (status) {
+    case 'current':
+      log.dim(`Snapshot matches your latest migration (${migration})`);
+      return true;
+    case 'behind':
+      log.info(`Snapshot was saved at migration ${migration} - ${pending} newer local migration(s) will apply on top`);
+      log.dim('  If one renames or drops columns, restore with --drift');
+      return true;
+    case 'ahead':
+      log.warn(`Snapshot was saved at migration ${migration}, newer than your latest (${latest})`);
+      return false;
+    case 'diverged':
+      log.warn(`Snapshot was saved at migration ${migration}, which isn't in supabase/migrations (another branch?)`);
+      return false;
+    default:
+      log.warn(migration
+        ? 'No local migrations to compare the snapshot against'
+        : 'Snapshot has no migration recorded - can\'t check it matches your schema');
+      return true;
+  }
+}
+
+/**
+ * Get the configured remote, or exit with a hint if there isn't one
+ */
+async function requireRemote() {
+  let remote;
+  try {
+    remote = createRemote(await getConfig());
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  if (!remote) {
+    log.error('No remote configured');
+    console.log('');
+    console.log('Add one to .supabase-stateful.json, e.g.:');
+    console.log('  "remote": { "type": "fs", "path": "/Volumes/team/supabase-snapshots" }');
+    console.log('  "remote": { "type": "s3", "bucket": "dev-snapshots", "region": "eu-west-2" }');
+    process.exit(1);
+  }
+  return remote;
+}
+
+/**
+ * Exit with an error if the snapshot name isn't filesystem-safe
+ */
+function checkName(name) {
+  if (!isValidSnapshotName(name)) {
+    log.error(`Invalid snapshot name: "${name}"`);
+    console.log('');
+    console.log('Use letters, numbers, dots, dashes and underscores (e.g., coach-full)');
+    process.exit(1);
+  }
+}
+
+/**
+ * Exit with an error if Supabase isn't running
+ */
+function requireRunning() {
+  if (!isRunning()) {
+    log.error('Supabase is not running');
+    console.log('');
+    console.log('Start it first: supabase-stateful start');
+    process.exit(1);
+  }
+}
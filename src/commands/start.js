@@ -4,8 +4,12 @@
  * Flow:
  * 1. If already running: check for pending migrations, apply if needed
  * 2. If not running: start Supabase (with fallbacks for common issues)
- * 3. Restore saved state if it exists (schema + data from last session)
+ * 3. Restore saved state if it exists (schema + data from last session,
+ *    or the checked-out branch's state in branch mode) - after an unclean
+ *    shutdown, offer the newest autosave instead
  * 4. Run pending migrations ON TOP of existing data
+ * 5. Summarize restore errors per table - exit non-zero (or ask) if data was lost
+ * 6. Create any config.testUsers that don't exist yet
  *
  * This order is critical - migrations run on your data, not on an empty database.
  * E.g., if a teammate added a "rename column" migration, it transforms YOUR data.
@@ -13,8 +17,14 @@
 
 import { execSync, spawnSync } from 'child_process';
 import { restoreState, stateExists } from '../lib/state.js';
+import { resolveStateFile } from '../lib/branches.js';
+import { findRecoverableAutosave, markSessionStarted } from '../lib/autosave.js';
 import { isRunning } from '../lib/docker.js';
+import { getConfig } from '../lib/config.js';
+import { ensureTestUsers } from '../lib/users.js';
+import { printRestoreSummary, hasDataLoss } from '../lib/restore-report.js';
 import { log } from '../utils/log.js';
+import { confirm } from '../utils/prompt.js';
 
 export async function start() {
   log.info('Starting Supabase with stateful development...');
@@ -23,6 +33,7 @@ export async function start() {
   if (isRunning()) {
     log.success('Supabase already running');
     await handleRunningInstance();
+    await markSessionStarted();
     return;
   }
 
@@ -33,11 +44,21 @@ export async function start() {
   }
 
   // Restore saved state FIRST (schema + data from last session)
-  await restoreSavedState();
+  const restored = await restoreSavedState();
 
   // Apply pending migrations ON TOP of existing data
   await applyMigrations();
 
+  // Report what didn't make it back before declaring success
+  if (restored) {
+    await reportRestore(restored);
+  }
+
+  await createTestUsers();
+
+  // Removed again by stop - if it's still here next start, we crashed
+  await markSessionStarted();
+
   printReady();
 }
 
@@ -48,6 +69,7 @@ export async function start() {
 async function handleRunningInstance() {
   // Apply pending migrations on top of existing data
   await applyMigrations();
+  await createTestUsers();
   printReady();
 }
 
@@ -166,20 +188,42 @@ async function startSupabase() {
 
 /**
  * Restore saved state if it exists
+ * Returns the restore result, or null if nothing was restored
  */
 async function restoreSavedState() {
-  if (await stateExists()) {
-    log.info('Found saved state - restoring...');
+  let { file, branch, fallback } = await resolveStateFile({ restoring: true });
+
+  // The last session never ran stop - its newest data may only be in an autosave
+  const recovery = await findRecoverableAutosave(file);
+  if (recovery && await useAutosave(recovery)) {
+    file = recovery.path;
+    fallback = `autosave ${recovery.date.toLocaleString()}`;
+  }
+
+  if (await stateExists(file)) {
+    if (recovery && file === recovery.path) {
+      log.info(`Restoring ${fallback}...`);
+    } else if (fallback) {
+      log.info(`No saved state for branch ${branch} yet - restoring from ${fallback}...`);
+    } else {
+      log.info(`Found saved state${branch ? ` for branch ${branch}` : ''} - restoring...`);
+    }
 
     try {
-      await restoreState();
+      const result = await restoreState(file);
       console.log('');
-      log.success('Previous session restored!');
-      console.log('');
-      console.log('Your test users and data have been restored');
-      console.log('Database schema updated and data preserved');
-    } catch {
-      log.warn('State restoration had some errors (likely duplicates - this is normal)');
+      if (hasDataLoss(result.errors, result.shortTables)) {
+        log.warn('Previous session restored with errors (see summary below)');
+      } else {
+        log.success('Previous session restored!');
+        console.log('');
+        console.log('Your test users and data have been restored');
+        console.log('Database schema updated and data preserved');
+      }
+      return result;
+    } catch (err) {
+      log.error(`State restoration failed: ${err.message}`);
+      process.exit(1);
     }
   } else {
     log.info('No saved state found');
@@ -187,6 +231,76 @@ async function restoreSavedState() {
     console.log('Create test users, then run: supabase-stateful stop');
     console.log('Your state will be saved for next session');
   }
+  return null;
+}
+
+/**
+ * Ask whether to restore an autosave left by a session that didn't stop cleanly
+ * Non-interactive starts take the autosave, since it has the newest data
+ */
+async function useAutosave(recovery) {
+  log.warn('The last session did not shut down cleanly (stop never ran)');
+  console.log(`An autosave from ${recovery.date.toLocaleString()} is newer than the saved state.`);
+
+  if (!process.stdin.isTTY) {
+    console.log('Restoring the autosave - run `supabase-stateful restore` to go back to the saved state.');
+    return true;
+  }
+
+  return confirm(
+    'Restore the newest autosave instead?',
+    'Choose no to restore the last state saved by stop.',
+    true
+  );
+}
+
+/**
+ * Print the restore summary and stop if data was lost
+ * Interactive terminals get a prompt; scripts get a non-zero exit
+ */
+async function reportRestore(result) {
+  printRestoreSummary(result.errors, result.shortTables);
+
+  if (!hasDataLoss(result.errors, result.shortTables)) {
+    return;
+  }
+
+  log.warn('Some saved data could not be restored');
+  console.log('Running stop now would save the database WITHOUT the missing rows.');
+  console.log('The previous state stays available via: supabase-stateful history');
+
+  if (process.stdin.isTTY) {
+    const proceed = await confirm(
+      'Continue anyway?',
+      'Supabase keeps running either way - fix the schema and run `supabase-stateful restore` to retry.',
+      false
+    );
+    if (proceed) {
+      return;
+    }
+  }
+
+  process.exit(1);
+}
+
+/**
+ * Make sure the users declared in config.testUsers exist
+ * A failure is only a warning - the restored data is still there
+ */
+async function createTestUsers() {
+  const config = await getConfig();
+  if (!config.testUsers?.length) {
+    return;
+  }
+
+  try {
+    const created = await ensureTestUsers(config);
+    for (const email of created) {
+      log.dim(`Created test user ${email}`);
+    }
+  } catch (err) {
+    log.warn(`Could not create test users: ${err.message}`);
+  }
 }
 
 /**
@@ -4,11 +4,13 @@
  * Displays:
  * - Whether Supabase is running
  * - Saved state info (exists, size, last modified)
- * - Configuration details
+ * - Configuration details, including which tables a save captures
  */
 
 import { isRunning } from '../lib/docker.js';
 import { getStateInfo } from '../lib/state.js';
+import { discoverTables } from '../lib/tables.js';
+import { resolveStateFile } from '../lib/branches.js';
 import { getConfig, configExists } from '../lib/config.js';
 import { log } from '../utils/log.js';
 
@@ -35,10 +37,16 @@ export async function status() {
     log.info('Supabase: Stopped');
   }
 
-  // State file status
-  const stateInfo = await getStateInfo();
+  // State file status (the checked-out branch's in branch mode)
+  const { file, branch, fallback } = await resolveStateFile({ restoring: true });
+  if (branch) {
+    log.info(`Branch: ${branch}${fallback ? ` (no saved state yet - start restores ${fallback})` : ''}`);
+  }
+  const stateInfo = await getStateInfo(file);
   if (stateInfo.exists) {
     log.success(`State file: ${stateInfo.path}`);
+    console.log(`  Format: ${stateInfo.formatLabel}`);
+    console.log(`  Encrypted: ${stateInfo.encrypted ? 'yes' : 'no'}`);
     console.log(`  Size: ${stateInfo.size}`);
     console.log(`  Modified: ${stateInfo.modified.toLocaleString()}`);
   } else {
@@ -51,6 +59,30 @@ export async function status() {
   console.log('Configuration:');
   console.log(`  Container: ${config.containerName}`);
   console.log(`  State file: ${config.stateFile}`);
+  console.log(`  Format: ${config.format}${config.encrypt ? ' (encrypted)' : ''}`);
+  console.log(`  Restore: ${config.restoreMode}${config.cleanRestore ? ' (clean)' : ''}, on conflict: ${config.onConflict}`);
+  console.log(`  Branch mode: ${config.branchMode ? `on (${config.branchDir})` : 'off'}`);
+  console.log(`  Schemas: ${config.schemas.join(', ')}`);
+  if (config.includeTables.length > 0) {
+    console.log(`  Include: ${config.includeTables.join(', ')}`);
+  }
+  if (config.excludeTables.length > 0) {
+    console.log(`  Exclude: ${config.excludeTables.join(', ')}`);
+  }
+  if (config.schemaOnlyTables.length > 0) {
+    console.log(`  Schema only: ${config.schemaOnlyTables.join(', ')}`);
+  }
+
+  // Tables the next save would capture
+  if (isRunning()) {
+    try {
+      const tables = await discoverTables(config);
+      const schemaOnly = tables.filter(t => t.schemaOnly).length;
+      console.log(`  Captured tables: ${tables.length}${schemaOnly > 0 ? ` (${schemaOnly} schema only)` : ''}`);
+    } catch (err) {
+      log.warn(`Could not list captured tables: ${err.message}`);
+    }
+  }
 
   // Service URLs if running
   if (isRunning()) {
@@ -3,12 +3,17 @@
  *
  * Flow:
  * 1. Check if Supabase is running
- * 2. Save current database state
+ * 2. Save current database state (and keep a timestamped copy in history)
+ *    - in branch mode, to the checked-out branch's state file
+ *    - then clear the session marker, so start knows we shut down cleanly
  * 3. Clear auth.refresh_tokens (prevents duplicate key errors on next start)
  * 4. Stop Supabase
  */
 
 import { saveState, clearAuthTokens } from '../lib/state.js';
+import { recordHistory } from '../lib/history.js';
+import { resolveStateFile } from '../lib/branches.js';
+import { markSessionStopped } from '../lib/autosave.js';
 import { isRunning, shell } from '../lib/docker.js';
 import { log } from '../utils/log.js';
 
@@ -22,15 +27,32 @@ export async function stop() {
   log.info('Saving state and stopping Supabase...');
 
   // Save current database state
-  log.info('Saving local database state...');
+  const { file, branch } = await resolveStateFile();
+  log.info(`Saving local database state${branch ? ` for branch ${branch}` : ''}...`);
+  let saved = false;
   try {
-    await saveState();
-    log.success('State saved');
+    saved = await saveState(file);
+    if (saved) {
+      log.success('State saved');
+    }
   } catch (err) {
     log.error(`Failed to save state: ${err.message}`);
     // Continue anyway - user may want to stop even if save fails
   }
 
+  // Keep a timestamped copy so a bad save can be rolled back later
+  if (saved) {
+    try {
+      const { id, pruned } = await recordHistory(saved);
+      log.dim(`History entry: ${id}${pruned.length ? ` (pruned ${pruned.length} old)` : ''}`);
+    } catch (err) {
+      log.warn(`Could not record history: ${err.message}`);
+    }
+
+    // The session's data is safe - next start needn't look at autosaves
+    await markSessionStopped();
+  }
+
   // Clear refresh tokens to prevent duplicate key errors on next start
   log.info('Clearing auth tokens...');
   if (await clearAuthTokens()) {
@@ -29,6 +29,9 @@ export async function sync(options) {
     seedFile = await exportCloudData({
       sample: options.sample,
       tables: options.tables,
+      roots: options.root,
+      where: options.where,
+      subsetLimit: options.limit,
     });
   } catch (err) {
     log.error(`Export failed: ${err.message}`);
@@ -0,0 +1,60 @@
+/**
+ * Token command - mint an access token for the local API
+ *
+ * Usage:
+ *   npx supabase-stateful token --user <email|id>            # as that user
+ *   npx supabase-stateful token --user <email|id> --exp 15m  # shorter lifetime
+ *   npx supabase-stateful token --role service_role          # no user, just a role
+ *   npx supabase-stateful token --user <email|id> --curl     # print curl headers
+ *
+ * Prints only the token, so it can be captured: TOKEN=$(npx supabase-stateful token --user ...)
+ */
+
+import { isRunning } from '../lib/docker.js';
+import { findUser } from '../lib/users.js';
+import { getLocalAuth, signJwt, accessTokenClaims, parseDuration } from '../lib/jwt.js';
+import { log } from '../utils/log.js';
+
+export async function token(options = {}) {
+  if (!options.user && !options.role) {
+    log.error('Pass --user <email|id> to act as a user, or --role <role> for a role-only token');
+    process.exit(1);
+  }
+
+  const expiresIn = parseDuration(options.exp || '1h');
+  if (!expiresIn) {
+    log.error(`Invalid --exp "${options.exp}" - use e.g. 3600, 30m, 1h or 7d`);
+    process.exit(1);
+  }
+
+  let user;
+  if (options.user) {
+    if (!isRunning()) {
+      log.error('Supabase is not running');
+      console.log('');
+      console.log('Start it first: supabase-stateful start');
+      process.exit(1);
+    }
+
+    user = await findUser(options.user);
+    if (!user) {
+      log.error(`No user matches "${options.user}"`);
+      console.log('');
+      console.log('See existing users: supabase-stateful users list');
+      process.exit(1);
+    }
+  }
+
+  const auth = await getLocalAuth();
+  const role = options.role || user?.role || 'authenticated';
+  const accessToken = signJwt(accessTokenClaims({ user, role, expiresIn, apiUrl: auth.apiUrl }), auth.secret);
+
+  if (!options.curl) {
+    console.log(accessToken);
+    return;
+  }
+
+  console.log(`curl ${auth.apiUrl}/rest/v1/<table> \\`);
+  console.log(`  -H "apikey: ${auth.anonKey}" \\`);
+  console.log(`  -H "Authorization: Bearer ${accessToken}"`);
+}
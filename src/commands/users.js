@@ -0,0 +1,108 @@
+/**
+ * Users command - manage test users in the local auth schema
+ *
+ * Usage:
+ *   npx supabase-stateful users create --email <email> --password <password> [--role <role>] [--metadata <json>]
+ *   npx supabase-stateful users list
+ *   npx supabase-stateful users delete <id|email>
+ *
+ * Users declared in config.testUsers are created by start when missing.
+ */
+
+import { isRunning } from '../lib/docker.js';
+import { listUsers, findUser, createUser, deleteUser } from '../lib/users.js';
+import { log } from '../utils/log.js';
+
+/**
+ * Create a confirmed email/password user
+ */
+export async function usersCreate(options = {}) {
+  requireRunning();
+
+  let metadata = {};
+  if (options.metadata) {
+    try {
+      metadata = JSON.parse(options.metadata);
+      if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) throw new Error();
+    } catch {
+      log.error('--metadata must be a JSON object, e.g. \'{"name": "Coach"}\'');
+      process.exit(1);
+    }
+  }
+
+  if (await findUser(options.email)) {
+    log.error(`A user with email ${options.email} already exists`);
+    console.log('');
+    console.log(`Delete it first: supabase-stateful users delete ${options.email}`);
+    process.exit(1);
+  }
+
+  let id;
+  try {
+    id = await createUser({
+      email: options.email,
+      password: options.password,
+      role: options.role,
+      metadata,
+    });
+  } catch (err) {
+    log.error(`Failed to create user: ${err.message}`);
+    process.exit(1);
+  }
+
+  log.success(`Created ${options.email.trim().toLowerCase()} (${id})`);
+}
+
+/**
+ * List users in the local auth schema
+ */
+export async function usersList() {
+  requireRunning();
+
+  const users = await listUsers();
+
+  console.log('');
+  if (users.length === 0) {
+    log.info('No users yet');
+    console.log('');
+    console.log('Create one with: supabase-stateful users create --email <email> --password <password>');
+    console.log('');
+    return;
+  }
+
+  const width = Math.max(5, ...users.map(u => u.email.length));
+  console.log(`  ${'Email'.padEnd(width)}  ${'Role'.padEnd(13)}  ${'Last sign-in'.padEnd(22)}  Id`);
+  for (const user of users) {
+    const signedIn = user.lastSignInAt ? new Date(user.lastSignInAt).toLocaleString() : 'never';
+    console.log(`  ${user.email.padEnd(width)}  ${user.role.padEnd(13)}  ${signedIn.padEnd(22)}  ${user.id}`);
+  }
+  console.log('');
+}
+
+/**
+ * Delete a user by id or email
+ */
+export async function usersDelete(idOrEmail) {
+  requireRunning();
+
+  if (!await deleteUser(idOrEmail)) {
+    log.error(`No user matches "${idOrEmail}"`);
+    console.log('');
+    console.log('See existing users: supabase-stateful users list');
+    process.exit(1);
+  }
+
+  log.success(`Deleted ${idOrEmail}`);
+}
+
+/**
+ * Exit with an error if Supabase isn't running
+ */
+function requireRunning() {
+  if (!isRunning()) {
+    log.error('Supabase is not running');
+    console.log('');
+    console.log('Start it first: supabase-stateful start');
+    process.exit(1);
+  }
+}
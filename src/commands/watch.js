@@ -0,0 +1,65 @@
+/**
+ * Watch command - autosave state periodically while Supabase is running
+ *
+ * Usage:
+ *   npx supabase-stateful watch                  # every config.autosave.interval minutes
+ *   npx supabase-stateful watch --interval 2
+ *
+ * Runs until interrupted. Add it to dev:local so it runs alongside everything else:
+ *   npx supabase-stateful add autosave "npx supabase-stateful watch"
+ *
+ * If the session then dies without `stop`, the next start offers the newest autosave.
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import { autosave } from '../lib/autosave.js';
+import { getConfig } from '../lib/config.js';
+import { isRunning } from '../lib/docker.js';
+import { log } from '../utils/log.js';
+
+export async function watch(options) {
+  const config = await getConfig();
+  const minutes = Number(options.interval ?? config.autosave?.interval ?? 5);
+
+  if (!(minutes > 0)) {
+    log.error('Autosave interval must be a positive number of minutes');
+    process.exit(1);
+  }
+
+  // Let an autosave in progress finish instead of leaving a partial file behind
+  let saving = false;
+  let stopping = false;
+  const shutdown = () => {
+    stopping = true;
+    if (!saving) {
+      process.exit(0);
+    }
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  log.info(`Autosaving every ${minutes} minute(s) to ${config.autosaveDir} (Ctrl+C to stop)`);
+
+  while (!stopping) {
+    await sleep(minutes * 60 * 1000);
+
+    if (!isRunning()) {
+      log.dim('Supabase is not running - skipping autosave');
+      continue;
+    }
+
+    saving = true;
+    try {
+      const result = await autosave();
+      if (result) {
+        log.success(`Autosaved ${result.file} at ${new Date().toLocaleTimeString()}`);
+      }
+    } catch (err) {
+      log.warn(`Autosave failed: ${err.message}`);
+    } finally {
+      saving = false;
+    }
+  }
+
+  process.exit(0);
+}
@@ -0,0 +1,101 @@
+/**
+ * Autosave and crash recovery
+ *
+ * State is normally only saved by stop, so a crash (laptop dies, Docker
+ * restarts, terminal closed without the dev-local.sh trap) loses the session.
+ * - `watch` saves rolling snapshots into config.autosaveDir every
+ *   config.autosave.interval minutes, keeping the newest config.autosave.keep
+ * - start writes a session marker and stop removes it once state is saved,
+ *   so a marker left behind means the last session never shut down cleanly
+ * - start then offers the newest autosave if it's newer than the saved state
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfig } from './config.js';
+import { saveState } from './state.js';
+import { findSnapshotFile } from './formats.js';
+import { readManifest } from './manifest.js';
+import { toHistoryId, listEntries, removeEntry } from './history.js';
+import { getCurrentBranch } from './branches.js';
+
+const SESSION_MARKER = 'session.json';
+
+/**
+ * Save an autosave snapshot and prune old ones
+ * @returns {Promise<{file: string, pruned: number}|null>} - null if there was nothing to save
+ */
+export async function autosave() {
+  const config = await getConfig();
+  const { keep = 5 } = config.autosave || {};
+
+  const saved = await saveState(path.join(config.autosaveDir, `${toHistoryId(new Date())}.sql`), { quiet: true });
+  if (!saved) {
+    return null;
+  }
+
+  const stale = (await listEntries(config.autosaveDir)).slice(Math.max(keep, 1));
+  for (const entry of stale) {
+    await removeEntry(entry);
+  }
+
+  return { file: saved, pruned: stale.length };
+}
+
+/**
+ * Record that a session is running (called by start)
+ */
+export async function markSessionStarted() {
+  const config = await getConfig();
+  await fs.mkdir(config.autosaveDir, { recursive: true });
+  await fs.writeFile(
+    path.join(config.autosaveDir, SESSION_MARKER),
+    JSON.stringify({ startedAt: new Date().toISOString(), branch: getCurrentBranch() }, null, 2) + '\n'
+  );
+}
+
+/**
+ * Record that the session ended with its state saved (called by stop)
+ */
+export async function markSessionStopped() {
+  const config = await getConfig();
+  await fs.rm(path.join(config.autosaveDir, SESSION_MARKER), { force: true });
+}
+
+/**
+ * Find an autosave to recover after an unclean shutdown
+ * Only autosaves newer than the saved state count (and, in branch mode,
+ * only ones taken on the checked-out branch).
+ * @param {string} stateFile - The state file start would otherwise restore
+ * @returns {Promise<{path: string, date: Date, session: object}|null>}
+ */
+export async function findRecoverableAutosave(stateFile) {
+  const config = await getConfig();
+
+  let session;
+  try {
+    session = JSON.parse(await fs.readFile(path.join(config.autosaveDir, SESSION_MARKER), 'utf8'));
+  } catch {
+    return null;  // Last session stopped cleanly (or never started)
+  }
+
+  let savedAt = 0;
+  const existing = await findSnapshotFile(stateFile);
+  if (existing) {
+    savedAt = (await fs.stat(existing)).mtimeMs;
+  }
+
+  const branch = config.branchMode ? getCurrentBranch() : null;
+  for (const entry of await listEntries(config.autosaveDir)) {
+    if (entry.date.getTime() <= savedAt) {
+      break;  // Newest first - the rest are older still
+    }
+    if (branch) {
+      const manifest = await readManifest(entry.path);
+      if (manifest?.git?.branch !== branch) continue;
+    }
+    return { path: entry.path, date: entry.date, session };
+  }
+
+  return null;
+}
@@ -0,0 +1,167 @@
+/**
+ * Per-git-branch state (opt-in with config.branchMode)
+ *
+ * Each branch gets its own state file in config.branchDir, so switching to
+ * a branch with different migrations never restores another branch's data:
+ * - stop saves to the current branch's file
+ * - start restores the current branch's file, falling back to the default
+ *   branch's (for new branches), then to config.stateFile
+ * - `branch switch` does save/switch/restore while Supabase is running,
+ *   and the optional post-checkout hook runs it on every checkout
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { getConfig } from './config.js';
+import { findSnapshotFile } from './formats.js';
+
+// Marks hooks written by us, so we never overwrite or remove anyone else's
+export const HOOK_MARKER = '# supabase-stateful post-checkout hook';
+
+const HOOK_SCRIPT = `#!/bin/sh
+${HOOK_MARKER}
+# Switches the local database state along with the branch.
+# $3 is 1 for branch checkouts and 0 for file checkouts.
+[ "$3" = "1" ] || exit 0
+npx --no-install supabase-stateful branch switch || true
+`;
+
+/**
+ * Get the checked-out branch, or null when detached or outside a git repo
+ */
+export function getCurrentBranch() {
+  const branch = git(['rev-parse', '--abbrev-ref', 'HEAD']);
+  return branch === 'HEAD' ? null : branch;
+}
+
+/**
+ * Get the branch checked out before the current one (git's @{-1})
+ */
+export function getPreviousBranch() {
+  const branch = git(['rev-parse', '--abbrev-ref', '@{-1}']);
+  return branch === 'HEAD' ? null : branch;
+}
+
+/**
+ * Get the default branch: config.defaultBranch, else origin's HEAD, else main/master
+ */
+export function getDefaultBranch(config) {
+  if (config.defaultBranch) {
+    return config.defaultBranch;
+  }
+
+  const remoteHead = git(['symbolic-ref', '--short', 'refs/remotes/origin/HEAD']);
+  if (remoteHead) {
+    return remoteHead.replace(/^origin\//, '');
+  }
+
+  return ['main', 'master'].find(name => git(['rev-parse', '--verify', '--quiet', `refs/heads/${name}`])) || 'main';
+}
+
+/**
+ * Get a branch's state file path
+ * Branch names are encoded so feature/x and feature-x don't collide
+ */
+export function getBranchStateFile(config, branch) {
+  return path.join(config.branchDir, `${encodeURIComponent(branch)}.sql`);
+}
+
+/**
+ * Work out which state file to save to or restore from
+ * Without branch mode (or on a detached HEAD) this is always config.stateFile.
+ * @param {object} [options]
+ * @param {boolean} [options.restoring] - Fall back to the default branch / stateFile
+ *   if the current branch has no state yet
+ * @param {string} [options.branch] - Use this branch instead of the checked-out one
+ * @returns {Promise<{file: string, branch: string|null, fallback: string|null}>}
+ *   fallback names where the state came from when it isn't the branch's own
+ */
+export async function resolveStateFile({ restoring = false, branch } = {}) {
+  const config = await getConfig();
+  branch = config.branchMode ? branch || getCurrentBranch() : null;
+
+  if (!branch) {
+    return { file: config.stateFile, branch: null, fallback: null };
+  }
+
+  const own = getBranchStateFile(config, branch);
+  if (!restoring || await findSnapshotFile(own)) {
+    return { file: own, branch, fallback: null };
+  }
+
+  const defaultBranch = getDefaultBranch(config);
+  if (defaultBranch !== branch) {
+    const fromDefault = getBranchStateFile(config, defaultBranch);
+    if (await findSnapshotFile(fromDefault)) {
+      return { file: fromDefault, branch, fallback: defaultBranch };
+    }
+  }
+
+  if (await findSnapshotFile(config.stateFile)) {
+    return { file: config.stateFile, branch, fallback: config.stateFile };
+  }
+
+  return { file: own, branch, fallback: null };
+}
+
+/**
+ * Install the post-checkout hook
+ * @returns {Promise<{path: string, installed: boolean}>} - installed is false if
+ *   another post-checkout hook is already there
+ */
+export async function installHook() {
+  const hookPath = getHookPath();
+  const existing = await readHook(hookPath);
+
+  if (existing !== null && !existing.includes(HOOK_MARKER)) {
+    return { path: hookPath, installed: false };
+  }
+
+  await fs.mkdir(path.dirname(hookPath), { recursive: true });
+  await fs.writeFile(hookPath, HOOK_SCRIPT, { mode: 0o755 });
+  return { path: hookPath, installed: true };
+}
+
+/**
+ * Remove the post-checkout hook if we installed it
+ * @returns {Promise<{path: string, removed: boolean}>}
+ */
+export async function uninstallHook() {
+  const hookPath = getHookPath();
+  const existing = await readHook(hookPath);
+
+  if (existing === null || !existing.includes(HOOK_MARKER)) {
+    return { path: hookPath, removed: false };
+  }
+
+  await fs.rm(hookPath);
+  return { path: hookPath, removed: true };
+}
+
+/**
+ * Path of the post-checkout hook (respects core.hooksPath)
+ */
+function getHookPath() {
+  const hookPath = git(['rev-parse', '--git-path', 'hooks/post-checkout']);
+  if (!hookPath) {
+    throw new Error('Not inside a git repository');
+  }
+  return hookPath;
+}
+
+async function readHook(hookPath) {
+  try {
+    return await fs.readFile(hookPath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function git(args) {
+  try {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Clean restores - empty the captured tables before loading a snapshot
+ *
+ * Snapshot INSERTs end with ON CONFLICT DO NOTHING, so a plain restore merges:
+ * rows added since the snapshot (or by seed.sql) stay, and rows edited since
+ * keep their edits. A clean restore truncates every captured table first, so
+ * afterwards the data matches the snapshot exactly.
+ *
+ * - Tables are emptied with one TRUNCATE, so foreign keys between captured
+ *   tables are fine in any order. Only rows go - structure, constraints,
+ *   RLS policies and triggers (auth's included) are untouched.
+ * - Schema-only tables keep their rows (they were never in the snapshot).
+ * - A table outside the capture that references a captured one would be left
+ *   dangling: if it's empty it's truncated along with the rest, if it has
+ *   rows the clean restore is refused before anything is deleted.
+ */
+
+import { psqlQuery, quoteIdent } from './docker.js';
+import { discoverTables } from './tables.js';
+import { listForeignKeys } from './dependencies.js';
+
+/**
+ * Empty the captured tables
+ * @param {object} config - From getConfig()
+ * @returns {Promise<string[]>} - schema.table names that were truncated
+ */
+export async function truncateCapturedTables(config) {
+  const captured = (await discoverTables(config))
+    .filter(t => !t.schemaOnly)
+    .map(t => `${t.schema}.${t.table}`);
+
+  if (captured.length === 0) {
+    return [];
+  }
+
+  const targets = new Set(captured);
+  const foreignKeys = await listForeignKeys();
+
+  // Follow references outwards until nothing outside the set points in
+  for (;;) {
+    const outside = foreignKeys.filter(fk => targets.has(fk.to) && !targets.has(fk.from));
+    if (outside.length === 0) break;
+
+    for (const fk of outside) {
+      if (targets.has(fk.from)) continue;
+      if (await hasRows(fk.from)) {
+        throw new Error(
+          `${fk.from} references ${fk.to} and has rows that aren't in the snapshot, so emptying ${fk.to} would break it ` +
+          `- capture ${fk.from} too, empty it, or restore without --clean`
+        );
+      }
+      targets.add(fk.from);
+    }
+  }
+
+  const names = [...targets];
+  await psqlQuery(`TRUNCATE TABLE ${names.map(qualify).join(', ')};`);
+  return names;
+}
+
+async function hasRows(name) {
+  const rows = await psqlQuery(`SELECT count(*) FROM (SELECT 1 FROM ${qualify(name)} LIMIT 1) AS sample;`);
+  return Number(rows[0]?.[0]) > 0;
+}
+
+/**
+ * Quote a schema.table name (schemas never contain dots; tables may)
+ */
+function qualify(name) {
+  const [schema, ...table] = name.split('.');
+  return `${quoteIdent(schema)}.${quoteIdent(table.join('.'))}`;
+}
@@ -5,35 +5,73 @@
  * - SUPABASE_URL - Your Supabase project URL
  * - SUPABASE_SERVICE_ROLE_KEY - Service role key for data access
  *
+ * Without --tables, every table the project's API exposes is exported (read
+ * from the PostgREST OpenAPI root, or the local schema if that's unavailable),
+ * narrowed by config.cloud.includeTables / excludeTables.
+ *
+ * Tables are written in foreign key order (parents first), from the FKs in the
+ * OpenAPI description or the local catalog, so the seed loads without
+ * session_replication_role = replica. Where tables reference each other (or
+ * themselves), those references are inserted as NULL and set by UPDATEs once
+ * all of the cycle's rows are in.
+ *
+ * Tables are read a page at a time (config.cloud.pageSize rows, keyset-paginated
+ * on a single-column primary key, Range-paginated otherwise) and each page is
+ * written straight to the seed file, so PostgREST's max-rows cap doesn't
+ * truncate big tables and memory stays flat.
+ *
+ * The project's auth users come along (config.cloud.authUsers), read from the
+ * GoTrue admin API and written first, with a shared local password
+ * (config.cloud.authUserPassword) so you can sign in as any of them. Subsets
+ * only take the users their rows reference.
+ *
+ * --root / --where export a subset instead: rows matching the roots plus every
+ * row needed to keep foreign keys intact (see subset.js).
+ *
+ * Values are written by column type (from the OpenAPI description or the local
+ * catalog): arrays, json, composites and big numbers keep their exact values
+ * (see column-types.js).
+ *
+ * Rows are masked with config.masking rules before they're written (see masking.js).
+ *
  * Based on scouty's data-export.js
  */
 
 import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import { Readable } from 'stream';
+import { pipeline, finished } from 'stream/promises';
+import { getConfig } from './config.js';
+import { createMasker } from './masking.js';
+import { createTableSelection, getPrimaryKeys } from './tables.js';
+import { isRunning, psqlQuery, quoteIdent } from './docker.js';
+import { listForeignKeys, foreignKeysFromOpenApi, sortByDependencies } from './dependencies.js';
+import { parseRoot, parseWhere, collectSubset } from './subset.js';
+import { authUsersSql } from './users.js';
+import { columnTypesFromOpenApi, listColumnTypes, selectList, formatValue } from './column-types.js';
 import { log } from '../utils/log.js';
 
-// Tables to export in dependency order (parent tables first)
-const DEFAULT_TABLES = [
-  'coaches',
-  'client_profiles',
-  'products',
-  'plans',
-  'coach_availability',
-  'plan_groups',
-  'subscriptions',
-  'enquiries',
-  'purchases',
-  'payments',
-  'bookings',
-  'reviews',
-  'coach_reviews',
-  'events',
-];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Export data from cloud Supabase to a seed file
  */
 export async function exportCloudData(options = {}) {
-  const { sample = false, tables = null, output = 'supabase/seed-data.sql' } = options;
+  const {
+    sample = false,
+    tables = null,
+    output = 'supabase/seed-data.sql',
+    roots = [],
+    where = [],
+    subsetLimit = null,
+  } = options;
+
+  // Invalid roots fail before anything is fetched
+  const subsetRoots = [...roots.map(parseRoot), ...where.map(parseWhere)];
+  if (subsetRoots.length > 0 && sample) {
+    throw new Error('--sample and --root/--where can\'t be combined - cap subsets with --limit');
+  }
 
   // Check for required env vars
   const url = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
@@ -51,119 +89,677 @@ export async function exportCloudData(options = {}) {
   log.info('Connecting to cloud Supabase...');
   log.dim(`URL: ${url}`);
 
+  const config = await getConfig();
+  const spec = await fetchApiSchema(url, key);
+
   // Determine which tables to export
-  const tablesToExport = tables ? tables.split(',').map(t => t.trim()) : DEFAULT_TABLES;
+  const tablesToExport = tables
+    ? tables.split(',').map(t => t.trim())
+    : await discoverCloudTables(spec, url, config);
   const limit = sample ? 100 : null;
 
-  log.info(`Exporting ${tablesToExport.length} tables${sample ? ' (sample: 100 rows each)' : ''}...`);
+  if (subsetRoots.length === 0) {
+    log.info(`Exporting ${tablesToExport.length} tables${sample ? ' (sample: 100 rows each)' : ''}...`);
+  }
 
-  const allData = [];
+  // Production PII never reaches the seed file unmasked
+  const masker = createMasker(config);
+  if (!masker.isEmpty) {
+    log.dim('Applying masking rules from .supabase-stateful.json');
+  }
 
-  for (const table of tablesToExport) {
-    const tableData = await fetchTable(url, key, table, limit);
-    if (tableData) {
-      allData.push(tableData);
-      log.success(`  ${table}: ${tableData.data.length} rows`);
-    } else {
-      log.dim(`  ${table}: skipped (not found or empty)`);
+  // Parents before children, so the seed loads with foreign keys enforced
+  const foreignKeys = await loadForeignKeys(spec);
+  if (!foreignKeys) {
+    log.warn('No foreign key information (API schema unavailable and Supabase not running)');
+    log.dim('Tables are written in name order - loading the seed relies on replica mode');
+  }
+  let groups = sortByDependencies(tablesToExport, foreignKeys || []);
+  for (const group of groups.filter(g => g.cyclic)) {
+    log.dim(`${group.tables.join(', ')} reference${group.tables.length > 1 ? ' each other' : ' themselves'} - those references are set after the rows are in`);
+  }
+
+  const { pageSize = 1000, authUsers = true, authUserPassword = 'password123' } = config.cloud || {};
+  const primaryKeys = await loadPrimaryKeys(spec, tablesToExport);
+  const columnTypes = await loadColumnTypes(spec);
+  if (!columnTypes) {
+    log.warn('No column types (API schema unavailable and Supabase not running)');
+    log.dim('Arrays and objects are written as jsonb - array and composite columns won\'t load');
+  }
+  const typesOf = table => columnTypes?.get(table);
+  const cycles = await planCycles(groups, foreignKeys || [], primaryKeys, spec);
+  groups = cycles.groups;
+  const totals = { rows: 0 };
+
+  let mode = sample ? 'Sample (100 rows per table)' : 'Full export';
+  let readTable = (table, stats) =>
+    fetchRows(url, key, table, { primaryKey: primaryKeys.get(table), select: selectList(typesOf(table)), limit, pageSize, stats });
+
+  let readUsers = authUsers
+    ? stats => fetchUsers(url, key, { limit, pageSize, stats })
+    : null;
+
+  if (subsetRoots.length > 0) {
+    if (!foreignKeys) {
+      throw new Error('Subsets follow foreign keys - they need the API schema or a running local database');
+    }
+
+    log.info(`Collecting subset from ${subsetRoots.map(root => root.label).join(', ')}...`);
+    const subset = await collectSubset({
+      roots: subsetRoots,
+      tables: tablesToExport,
+      foreignKeys,
+      primaryKeys,
+      capFor: table => subsetCap(config, table, subsetLimit),
+      fetchRows: async (table, filter, rowLimit) => {
+        const rows = [];
+        const select = selectList(typesOf(table));
+        for await (const page of fetchRows(url, key, table, { primaryKey: primaryKeys.get(table), select, limit: rowLimit, pageSize, stats: {}, filter })) {
+          rows.push(...page);
+        }
+        return rows;
+      },
+    });
+    for (const table of subset.capped) {
+      log.dim(`${table}: capped at ${subsetCap(config, table, subsetLimit)} rows - its parents are still included`);
+    }
+
+    mode = `Subset (${subsetRoots.map(root => root.label).join(', ')})`;
+    readTable = table => [subset.rows.get(table)].filter(rows => rows?.length > 0);
+
+    // Only the users the subset's rows point at - not every production account
+    if (readUsers) {
+      const userIds = await referencedUserIds(subset.rows);
+      readUsers = stats => fetchUsersById(url, key, userIds, { pageSize, stats });
     }
   }
 
-  // Generate SQL file
-  const sql = generateSql(allData, sample);
-  await fs.writeFile(output, sql);
+  // Written to a .partial file first, so a failed export never looks complete
+  const partial = `${output}.partial`;
+  const spool = `${output}.updates.partial`;
+  try {
+    await pipeline(
+      Readable.from(seedSql({ groups, cycleBreaks: cycles.breaks, spool, primaryKeys, readTable, readUsers, typesOf, password: authUserPassword, masker, mode, totals })),
+      createWriteStream(partial)
+    );
+    await fs.rename(partial, output);
+  } catch (err) {
+    await fs.rm(partial, { force: true });
+    throw err;
+  } finally {
+    await fs.rm(spool, { force: true });
+  }
 
-  const totalRows = allData.reduce((sum, t) => sum + t.data.length, 0);
-  log.success(`Exported ${totalRows} total rows to ${output}`);
+  log.success(`Exported ${totals.rows} total rows to ${output}`);
 
   return output;
 }
 
 /**
- * Fetch data from a single table
+ * Find the tables to export when --tables isn't given
+ * @returns {Promise<string[]>} - public table names, narrowed by config.cloud
  */
-async function fetchTable(url, key, table, limit) {
-  try {
-    let apiUrl = `${url}/rest/v1/${table}?select=*`;
-    if (limit) {
-      apiUrl += `&limit=${limit}`;
+async function discoverCloudTables(spec, url, config) {
+  const { includeTables = [], excludeTables = [] } = config.cloud || {};
+  const selection = createTableSelection({
+    schemas: ['public'],
+    includeTables,
+    excludeTables,
+    schemaOnlyTables: [],
+    storage: false,
+  });
+
+  let names = spec && exposedTables(spec);
+  if (!names) {
+    if (!isRunning()) {
+      throw new Error(`Could not read the API schema from ${url}/rest/v1/ - pass --tables, or start Supabase to use the local schema`);
     }
+    log.dim('API schema unavailable - using the local schema\'s tables');
+    names = (await psqlQuery("SELECT tablename FROM pg_tables WHERE schemaname = 'public';")).map(([name]) => name);
+  }
+
+  return names.filter(name => selection.captures('public', name)).sort();
+}
 
-    const response = await fetch(apiUrl, {
+/**
+ * Read the API's OpenAPI description from the PostgREST root
+ * @returns {Promise<object|null>} - null if it can't be read (e.g. turned off)
+ */
+async function fetchApiSchema(url, key) {
+  try {
+    const response = await fetch(`${url}/rest/v1/`, {
       headers: {
         apikey: key,
         Authorization: `Bearer ${key}`,
+        Accept: 'application/openapi+json',
       },
     });
 
     if (!response.ok) {
       return null;
     }
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
 
-    const data = await response.json();
-    if (!data || data.length === 0) {
-      return null;
+/**
+ * List the tables in an OpenAPI description
+ * Views and functions are left out: only paths that accept inserts are tables
+ */
+function exposedTables(spec) {
+  return Object.entries(spec.paths || {})
+    .filter(([path, operations]) => path !== '/' && !path.startsWith('/rpc/') && operations.post)
+    .map(([path]) => path.slice(1));
+}
+
+/**
+ * Foreign keys between public tables, from the API schema or the local catalog
+ * @returns {Promise<Array|null>} - null if neither is available
+ */
+async function loadForeignKeys(spec) {
+  if (spec) {
+    return foreignKeysFromOpenApi(spec);
+  }
+  if (!isRunning()) {
+    return null;
+  }
+
+  const unqualify = name => name.replace(/^public\./, '');
+  return (await listForeignKeys())
+    .filter(fk => fk.from.startsWith('public.') && fk.to.startsWith('public.'))
+    .map(fk => ({ ...fk, from: unqualify(fk.from), to: unqualify(fk.to) }));
+}
+
+/**
+ * Primary key columns of each table, from the API schema or the local catalog
+ * @returns {Promise<Map<string, string[]>>} - tables without a known key are left out
+ */
+async function loadPrimaryKeys(spec, tables) {
+  if (spec) {
+    const keys = new Map();
+    for (const table of tables) {
+      const properties = Object.entries(spec.definitions?.[table]?.properties || {});
+      const columns = properties.filter(([, property]) => (property.description || '').includes('<pk/>')).map(([column]) => column);
+      if (columns.length > 0) keys.set(table, columns);
     }
+    return keys;
+  }
+  if (!isRunning()) {
+    return new Map();
+  }
 
-    return { table, data };
-  } catch {
+  const keys = await getPrimaryKeys(tables.map(table => ({ schema: 'public', table })));
+  return new Map([...keys].map(([name, columns]) => [name.replace(/^public\./, ''), columns]));
+}
+
+/**
+ * Break foreign key cycles: NOT DEFERRABLE keys (the default) can't wait for
+ * COMMIT, so a cycle's keys are inserted as NULL and set by UPDATE once its
+ * rows are all in. A key can only be broken if its columns are nullable and not
+ * part of the table's primary key, which the UPDATE goes by; the keys left
+ * decide the order of the cycle's tables. Tables still in a cycle after that
+ * load only in replica mode.
+ * @returns {Promise<{groups: Array<{tables: string[], cyclic: boolean}>, breaks: Map<string, string[]>}>}
+ *   groups reordered; breaks maps a table to the columns inserted as NULL
+ */
+async function planCycles(groups, foreignKeys, primaryKeys, spec) {
+  const breaks = new Map();
+  if (!groups.some(group => group.cyclic)) {
+    return { groups, breaks };
+  }
+
+  const required = await loadRequiredColumns(spec);
+  const breakable = fk => {
+    const primaryKey = primaryKeys.get(fk.from);
+    return primaryKey
+      && !fk.columns.some(column => primaryKey.includes(column) || required.get(fk.from)?.has(column));
+  };
+
+  const planned = groups.map(group => {
+    if (!group.cyclic) return group;
+
+    const keys = foreignKeys.filter(fk => group.tables.includes(fk.from) && group.tables.includes(fk.to));
+    for (const fk of keys.filter(breakable)) {
+      breaks.set(fk.from, [...new Set([...(breaks.get(fk.from) || []), ...fk.columns])]);
+    }
+
+    const order = sortByDependencies(group.tables, keys.filter(fk => !breakable(fk)));
+    for (const rest of order.filter(g => g.cyclic)) {
+      log.warn(`${rest.tables.join(', ')}: references through NOT NULL or key columns (or no primary key) form a cycle - loading needs replica mode`);
+    }
+    return { tables: order.flatMap(g => g.tables), cyclic: true };
+  });
+  return { groups: planned, breaks };
+}
+
+/**
+ * NOT NULL columns of each table, from the API schema or the local catalog
+ * @returns {Promise<Map<string, Set<string>>>} - empty if neither is available
+ */
+async function loadRequiredColumns(spec) {
+  if (spec) {
+    return new Map(Object.entries(spec.definitions || {})
+      .map(([table, definition]) => [table, new Set(definition.required || [])]));
+  }
+  if (!isRunning()) {
+    return new Map();
+  }
+
+  const required = new Map();
+  const rows = await psqlQuery(`
+    SELECT c.relname, a.attname
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public' AND a.attnum > 0 AND a.attnotnull AND NOT a.attisdropped;
+  `);
+  for (const [table, column] of rows) {
+    if (!required.has(table)) required.set(table, new Set());
+    required.get(table).add(column);
+  }
+  return required;
+}
+
+/**
+ * Column types of public tables, from the API schema or the local catalog
+ * @returns {Promise<Map<string, Map<string, string>>|null>} - null if neither is available
+ */
+async function loadColumnTypes(spec) {
+  if (spec) {
+    return columnTypesFromOpenApi(spec);
+  }
+  if (!isRunning()) {
     return null;
   }
+  return listColumnTypes();
 }
 
 /**
- * Generate SQL INSERT statements from exported data
+ * Ids of the auth users a subset's rows reference: the values of columns with
+ * a foreign key to auth.users (from the local catalog - the API schema doesn't
+ * describe them), else every uuid in the rows, ids that aren't users being
+ * skipped when they're looked up
  */
-function generateSql(allData, sample) {
-  const timestamp = new Date().toISOString();
+async function referencedUserIds(rowsByTable) {
+  const columns = await loadUserReferences();
+  if (!columns) {
+    log.dim('Foreign keys to auth.users unknown (Supabase not running) - looking up every uuid in the subset as a user');
+  }
 
-  let sql = `-- =============================================================================
+  const ids = new Set();
+  for (const [table, rows] of rowsByTable) {
+    for (const row of rows) {
+      const values = columns ? (columns.get(table) || []).map(column => row[column]) : Object.values(row);
+      for (const value of values) {
+        if (typeof value === 'string' && UUID.test(value)) ids.add(value.toLowerCase());
+      }
+    }
+  }
+  return [...ids].sort();
+}
+
+/**
+ * Columns of public tables with a foreign key to auth.users, from the local catalog
+ * @returns {Promise<Map<string, string[]>|null>} - null if Supabase isn't running
+ */
+async function loadUserReferences() {
+  if (!isRunning()) {
+    return null;
+  }
+
+  const references = new Map();
+  for (const fk of await listForeignKeys()) {
+    if (fk.to !== 'auth.users' || !fk.from.startsWith('public.') || fk.columns.length !== 1) continue;
+    const table = fk.from.replace(/^public\./, '');
+    references.set(table, [...(references.get(table) || []), fk.columns[0]]);
+  }
+  return references;
+}
+
+/**
+ * Rows a subset may take from a table (through roots and children): config.cloud.subsetLimits
+ * per table, else --limit, else config.cloud.subsetLimit
+ */
+function subsetCap(config, table, subsetLimit) {
+  const { subsetLimit: configured = 1000, subsetLimits = {} } = config.cloud || {};
+  return subsetLimits[table] ?? (subsetLimit ? Number(subsetLimit) : configured);
+}
+
+/**
+ * Generate the seed file, one INSERT per page of rows
+ * readTable(table, stats) yields a table's rows as arrays (pages), readUsers(stats)
+ * the auth users' (or is null to leave them out); typesOf(table) gives a table's
+ * column types, if known; cycleBreaks the columns inserted as NULL and set afterwards
+ * (see planCycles)
+ * A cycle's UPDATEs are written to the spool file as its rows stream past and
+ * copied in after the cycle, so they aren't held in memory either
+ * Adds the exported row count to totals.rows as it goes
+ */
+async function* seedSql({ groups, cycleBreaks, spool, primaryKeys, readTable, readUsers, typesOf, password, masker, mode, totals }) {
+  yield `-- =============================================================================
 -- Cloud Data Export
 -- =============================================================================
--- Generated: ${timestamp}
--- Mode: ${sample ? 'Sample (100 rows per table)' : 'Full export'}
+-- Generated: ${new Date().toISOString()}
+-- Mode: ${mode}
 --
 -- Use this file to seed your local database with cloud data
+-- Tables are in foreign key order, so it also loads for roles that can't use replica mode
 -- =============================================================================
 
-SET session_replication_role = replica;
+${setReplicationRole('replica')}
 
 `;
 
-  for (const { table, data } of allData) {
-    if (data.length === 0) continue;
+  // Users first - public tables reference them
+  if (readUsers) {
+    const stats = { total: null };
+    let exported = 0;
+    try {
+      for await (const users of readUsers(stats)) {
+        yield authUsersSql(users.map(user => maskUser(masker, user)), password);
+        exported += users.length;
+      }
+      totals.rows += exported;
+      logExported('auth.users', exported, stats.total);
+    } catch (err) {
+      if (!err.firstPage) throw err;
+      log.warn(`  auth.users: skipped - ${err.message}`);
+    }
+  }
 
-    const columns = Object.keys(data[0]);
-    const columnList = columns.map(c => `"${c}"`).join(', ');
+  for (const group of groups) {
+    // References inside a cycle, set once every row they point at is in
+    let updates = null;
 
-    sql += `-- ${table}\n`;
-    sql += `INSERT INTO public.${table} (${columnList}) VALUES\n`;
+    for (const table of group.tables) {
+      const broken = cycleBreaks.get(table);
+      const cleared = broken && Object.fromEntries(broken.map(column => [column, null]));
+      const stats = { total: null };
+      let exported = 0;
+      try {
+        for await (const rows of readTable(table, stats)) {
+          const masked = rows.map(row => masker.maskRow(table, row));
+          if (broken) {
+            const page = masked
+              .map(row => updateSql(table, row, broken, primaryKeys.get(table), typesOf(table)))
+              .filter(Boolean);
+            if (page.length > 0) {
+              updates = updates || createWriteStream(spool);
+              if (!updates.write(page.join(''))) await once(updates, 'drain');
+            }
+          }
+          yield insertSql(table, broken ? masked.map(row => ({ ...row, ...cleared })) : masked, typesOf(table));
+          exported += rows.length;
+        }
+      } catch (err) {
+        if (!err.firstPage) throw err;
+        if (err.status === 404) {
+          log.dim(`  ${table}: skipped (not found)`);
+        } else {
+          log.warn(`  ${table}: skipped - ${err.message}`);
+        }
+        continue;
+      }
 
-    const valueRows = data.map((row, i) => {
-      const values = columns.map(col => formatValue(row[col])).join(', ');
-      const comma = i < data.length - 1 ? ',' : '';
-      return `  (${values})${comma}`;
-    });
+      totals.rows += exported;
+      logExported(table, exported, stats.total);
+    }
 
-    sql += valueRows.join('\n');
-    sql += '\nON CONFLICT DO NOTHING;\n\n';
+    if (updates) {
+      updates.end();
+      await finished(updates);
+      yield `-- ${group.tables.join(', ')}: references inside the cycle\n`;
+      yield* createReadStream(spool, 'utf8');
+      yield '\n';
+    }
   }
 
-  sql += `SET session_replication_role = DEFAULT;\n`;
+  yield `${setReplicationRole('DEFAULT')}\n`;
+}
 
-  return sql;
+function logExported(table, exported, total) {
+  if (exported === 0) {
+    log.dim(`  ${table}: skipped (empty)`);
+  } else if (total !== null && total > exported) {
+    log.success(`  ${table}: ${exported} of ${total} rows`);
+  } else {
+    log.success(`  ${table}: ${exported} rows`);
+  }
 }
 
+// Admin API user fields stored under other auth.users column names - rules name the columns
+const USER_COLUMNS = { user_metadata: 'raw_user_meta_data', app_metadata: 'raw_app_meta_data' };
+
+// identity_data fields that aren't copied from the provider's profile
+const IDENTITY_FIELDS = ['sub', 'email', 'phone', 'email_verified', 'phone_verified'];
+
 /**
- * Format a value for SQL INSERT
+ * Mask an admin API user with the auth.users rules (keyed by column name), and
+ * its identities with the auth.identities rules. Identity data repeats the
+ * user's profile: its email and phone are masked along with the user's (see
+ * masking.js), and when user metadata is masked, the profile fields there
+ * (full_name, avatar_url...) take the masked metadata's values or are dropped.
  */
-function formatValue(value) {
-  if (value === null || value === undefined) return 'NULL';
-  if (typeof value === 'boolean') return value ? 'true' : 'false';
-  if (typeof value === 'number') return String(value);
-  if (typeof value === 'object') {
-    return `'${JSON.stringify(value).replace(/'/g, "''")}'::jsonb`;
+function maskUser(masker, user) {
+  const row = { ...user };
+  for (const [field, column] of Object.entries(USER_COLUMNS)) {
+    row[column] = row[field];
+    delete row[field];
+  }
+
+  const masked = masker.maskRow('auth.users', row);
+  for (const [field, column] of Object.entries(USER_COLUMNS)) {
+    masked[field] = masked[column];
+    delete masked[column];
   }
-  // String - escape single quotes
-  return `'${String(value).replace(/'/g, "''")}'`;
+
+  const metadata = masker.masks('auth.users', 'raw_user_meta_data') ? masked.user_metadata || {} : null;
+  return {
+    ...masked,
+    identities: (user.identities || []).map(identity => {
+      const identityMasked = masker.maskRow('auth.identities', identity);
+      if (!metadata || masker.masks('auth.identities', 'identity_data') || !identityMasked.identity_data) {
+        return identityMasked;
+      }
+      const data = Object.fromEntries(Object.entries(identityMasked.identity_data)
+        .filter(([field]) => IDENTITY_FIELDS.includes(field) || field in metadata)
+        .map(([field, value]) => [field, IDENTITY_FIELDS.includes(field) ? value : metadata[field]]));
+      return { ...identityMasked, identity_data: data };
+    }),
+  };
+}
+
+/**
+ * Read the project's auth users from the GoTrue admin API, a page at a time
+ * stats.total is set from X-Total-Count when the API sends it
+ */
+async function* fetchUsers(url, key, { limit, pageSize, stats }) {
+  // Pages are numbered, so every page must ask for the same number of users
+  const perPage = limit ? Math.min(pageSize, limit) : pageSize;
+  let fetched = 0;
+
+  for (let page = 1; ; page++) {
+    let response;
+    try {
+      response = await fetch(`${url}/auth/v1/admin/users?page=${page}&per_page=${perPage}`, {
+        headers: {
+          apikey: key,
+          Authorization: `Bearer ${key}`,
+        },
+      });
+    } catch (err) {
+      throw Object.assign(new Error(`Could not fetch users: ${err.message}`), { firstPage: page === 1 });
+    }
+    if (!response.ok) {
+      throw Object.assign(new Error(`Could not fetch users: HTTP ${response.status}`), { firstPage: page === 1, status: response.status });
+    }
+
+    if (page === 1) {
+      const total = response.headers.get('x-total-count');
+      stats.total = total ? Number(total) : null;
+    }
+
+    let { users = [] } = await response.json();
+    if (limit) users = users.slice(0, limit - fetched);
+    if (users.length === 0) return;
+
+    fetched += users.length;
+    yield users;
+
+    const expected = limit || stats.total;
+    if (expected ? fetched >= expected : users.length < perPage) return;
+  }
+}
+
+/**
+ * Read the given auth users from the GoTrue admin API, one request each,
+ * yielding them in pages; ids that aren't users are skipped
+ */
+async function* fetchUsersById(url, key, ids, { pageSize, stats }) {
+  stats.total = null;
+  let page = [];
+
+  for (const [i, id] of ids.entries()) {
+    let response;
+    try {
+      response = await fetch(`${url}/auth/v1/admin/users/${id}`, {
+        headers: {
+          apikey: key,
+          Authorization: `Bearer ${key}`,
+        },
+      });
+    } catch (err) {
+      throw Object.assign(new Error(`Could not fetch users: ${err.message}`), { firstPage: i === 0 });
+    }
+    if (response.status === 404) continue;
+    if (!response.ok) {
+      throw Object.assign(new Error(`Could not fetch users: HTTP ${response.status}`), { firstPage: i === 0, status: response.status });
+    }
+
+    page.push(await response.json());
+    if (page.length >= pageSize) {
+      yield page;
+      page = [];
+    }
+  }
+
+  if (page.length > 0) yield page;
+}
+
+/**
+ * Read a table a page at a time, yielding arrays of rows
+ * A single-column primary key pages by key (id > last seen), which stays fast
+ * and stable on big tables; anything else pages by Range, ordered by the key
+ * when there is one. filter narrows the rows (a PostgREST condition like
+ * id=in.(1,2)) and select picks the columns (see selectList). stats.total is set to the real number of matching rows.
+ */
+async function* fetchRows(url, key, table, { primaryKey = [], select = '*', limit, pageSize, stats, filter = null }) {
+  const keyset = primaryKey.length === 1 ? primaryKey[0] : null;
+  const order = primaryKey.length > 0 ? `&order=${primaryKey.map(c => `${encodeURIComponent(c)}.asc`).join(',')}` : '';
+  let fetched = 0;
+  let after = null;
+
+  for (;;) {
+    const size = limit ? Math.min(pageSize, limit - fetched) : pageSize;
+    let query = `select=${encodeURIComponent(select)}${filter ? `&${filter}` : ''}${order}`;
+    let range = null;
+    if (keyset) {
+      query += `&limit=${size}`;
+      if (after !== null) query += `&${encodeURIComponent(keyset)}=gt.${encodeURIComponent(after)}`;
+    } else {
+      range = [fetched, fetched + size - 1];
+    }
+
+    const page = await fetchPage(url, key, table, { query, range, count: fetched === 0 });
+    if (fetched === 0) {
+      stats.total = page.total;
+    }
+    if (page.rows.length === 0) return;
+
+    fetched += page.rows.length;
+    if (keyset) after = page.rows[page.rows.length - 1][keyset];
+    yield page.rows;
+
+    if ((limit && fetched >= limit) || (stats.total !== null && fetched >= stats.total)) return;
+  }
+}
+
+/**
+ * Fetch one page of rows
+ * Errors on the first page are flagged (err.firstPage) - the table may just not exist;
+ * later ones mean the export would be incomplete
+ * @returns {Promise<{rows: object[], total: number|null}>}
+ */
+async function fetchPage(url, key, table, { query, range, count }) {
+  const headers = {
+    apikey: key,
+    Authorization: `Bearer ${key}`,
+  };
+  if (range) {
+    headers['Range-Unit'] = 'items';
+    headers.Range = `${range[0]}-${range[1]}`;
+  }
+  if (count) {
+    headers.Prefer = 'count=exact';
+  }
+
+  let response;
+  try {
+    response = await fetch(`${url}/rest/v1/${encodeURIComponent(table)}?${query}`, { headers });
+  } catch (err) {
+    throw Object.assign(new Error(`Could not fetch ${table}: ${err.message}`), { firstPage: count });
+  }
+  if (!response.ok) {
+    throw Object.assign(new Error(`Could not fetch ${table}: HTTP ${response.status}`), { firstPage: count, status: response.status });
+  }
+
+  // Content-Range: 0-999/12345 (or */0 when empty)
+  const total = (response.headers.get('content-range') || '').match(/\/(\d+)$/);
+  return { rows: await response.json(), total: total ? Number(total[1]) : null };
+}
+
+/**
+ * One multi-row INSERT for a table's rows
+ * @param {Map<string, string>} [types] - column -> type; values are written by their column's type
+ */
+function insertSql(table, data, types) {
+  const columns = Object.keys(data[0]);
+  const columnList = columns.map(quoteIdent).join(', ');
+
+  const valueRows = data.map((row, i) => {
+    const values = columns.map(col => formatValue(row[col], types?.get(col))).join(', ');
+    const comma = i < data.length - 1 ? ',' : '';
+    return `  (${values})${comma}`;
+  });
+
+  return `-- ${table}\nINSERT INTO public.${quoteIdent(table)} (${columnList}) VALUES\n${valueRows.join('\n')}\nON CONFLICT DO NOTHING;\n\n`;
+}
+
+/**
+ * Set a row's cycle-breaking columns (inserted as NULL) to their values
+ * @returns {string|null} - null if they're all NULL anyway
+ */
+function updateSql(table, row, columns, primaryKey, types) {
+  const set = columns.filter(column => row[column] !== null && row[column] !== undefined);
+  if (set.length === 0) {
+    return null;
+  }
+  const assignments = set.map(column => `${quoteIdent(column)} = ${formatValue(row[column], types?.get(column))}`).join(', ');
+  const match = primaryKey.map(column => `${quoteIdent(column)} = ${formatValue(row[column], types?.get(column))}`).join(' AND ');
+  return `UPDATE public.${quoteIdent(table)} SET ${assignments} WHERE ${match};\n`;
+}
+
+/**
+ * Set session_replication_role where allowed (it stops triggers firing on seed
+ * rows), carrying on without it for roles that aren't
+ */
+function setReplicationRole(value) {
+  return `DO $$
+BEGIN
+  SET session_replication_role = ${value};
+EXCEPTION WHEN insufficient_privilege THEN
+  NULL;
+END $$;`;
 }
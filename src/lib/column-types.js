@@ -0,0 +1,146 @@
+/**
+ * Column types for cloud export
+ *
+ * PostgREST returns rows as JSON, which loses what the values were: an array
+ * column, a json column and a composite type all arrive as JSON, and bigint /
+ * numeric values past 2^53 lose digits once parsed as JS numbers. With each
+ * column's type (from the OpenAPI description or the local catalog):
+ * - bigint, numeric, money, json/jsonb and PostGIS columns are fetched as text
+ *   (col::text), so they arrive exactly as Postgres prints them - numbers inside
+ *   json documents too - and are written back unchanged
+ * - other values are written as literals of their own type: array literals
+ *   (nested too, with NULL elements), composite records
+ * Other types (enums, ranges, bytea, dates, intervals...) already arrive as
+ * Postgres' text form and are written as plain string literals.
+ */
+
+import { psqlQuery, quoteLiteral } from './docker.js';
+
+// Types whose JSON form is lossy or unusable - fetched as text instead
+// (json documents go through JSON.parse, which rounds numbers past 2^53)
+const TEXT_TYPES = ['bigint', 'int8', 'numeric', 'decimal', 'money', 'json', 'jsonb', 'geometry', 'geography'];
+
+/**
+ * Column types of each table in a PostgREST OpenAPI description
+ * @returns {Map<string, Map<string, string>>} - table -> column -> type, e.g. "text[]", "public.mood"
+ */
+export function columnTypesFromOpenApi(spec) {
+  const types = new Map();
+  for (const [table, definition] of Object.entries(spec.definitions || {})) {
+    const columns = new Map();
+    for (const [column, property] of Object.entries(definition.properties || {})) {
+      if (property.format) columns.set(column, property.format);
+    }
+    types.set(table, columns);
+  }
+  return types;
+}
+
+/**
+ * Column types of the local public tables
+ * @returns {Promise<Map<string, Map<string, string>>>}
+ */
+export async function listColumnTypes() {
+  const rows = await psqlQuery(`
+    SELECT c.relname, a.attname, format_type(a.atttypid, a.atttypmod)
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public'
+      AND c.relkind IN ('r', 'p')
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+    ORDER BY c.relname, a.attnum;
+  `);
+
+  const types = new Map();
+  for (const [table, column, type] of rows) {
+    if (!types.has(table)) types.set(table, new Map());
+    types.get(table).set(column, type);
+  }
+  return types;
+}
+
+/**
+ * PostgREST select list for a table: * unless a column needs fetching as text
+ * @param {Map<string, string>} [columns] - column -> type
+ */
+export function selectList(columns) {
+  if (!columns || ![...columns.values()].some(fetchAsText)) {
+    return '*';
+  }
+  return [...columns]
+    .map(([column, type]) => {
+      const name = /^\w+$/.test(column) ? column : `"${column.replace(/"/g, '\\"')}"`;
+      return fetchAsText(type) ? `${name}::text` : name;
+    })
+    .join(',');
+}
+
+/**
+ * Format a value for SQL INSERT
+ * @param {*} value - As parsed from PostgREST's JSON
+ * @param {string} [type] - Column type; without one, objects are taken for jsonb
+ */
+export function formatValue(value, type) {
+  if (value === null || value === undefined) return 'NULL';
+
+  if (type?.endsWith('[]')) {
+    // Arrays fetched as text are already in Postgres' array syntax
+    // Items of json arrays are documents even when they're arrays themselves
+    const literal = typeof value === 'string' ? value : arrayLiteral(value, isJson(type));
+    return `${quoteLiteral(literal)}::${type}`;
+  }
+  if (isJson(type)) {
+    // Fetched as text, so already the document as Postgres stores it; anything
+    // else (a masked value) is serialized - before the scalars, as a json column
+    // may hold a bare number, string or boolean
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `${quoteLiteral(text)}::${baseType(type)}`;
+  }
+
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'object') {
+    // Composite types come back as objects
+    return type
+      ? `jsonb_populate_record(NULL::${type}, ${quoteLiteral(JSON.stringify(value))})`
+      : `${quoteLiteral(JSON.stringify(value))}::jsonb`;
+  }
+  return quoteLiteral(value);
+}
+
+/**
+ * Postgres array literal from a JSON array: [[1, 2], [3, null]] -> {{"1","2"},{"3",NULL}}
+ * Every element is quoted, which Postgres accepts for any element type
+ */
+function arrayLiteral(values, json = false) {
+  const elements = values.map(item => {
+    if (item === null) return 'NULL';
+    if (Array.isArray(item) && !json) return arrayLiteral(item);
+    const text = json || typeof item === 'object' ? JSON.stringify(item) : String(item);
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  });
+  return `{${elements.join(',')}}`;
+}
+
+function isJson(type) {
+  return ['json', 'jsonb'].includes(baseType(type));
+}
+
+function fetchAsText(type) {
+  return TEXT_TYPES.includes(baseType(type));
+}
+
+/**
+ * "extensions.geometry(Point,4326)[]" -> "geometry", "numeric(10,2)" -> "numeric"
+ */
+function baseType(type) {
+  if (!type) return null;
+  return type
+    .replace(/\[\]$/, '')
+    .replace(/\(.*\)$/, '')
+    .replace(/^.*\./, '')
+    .replace(/"/g, '')
+    .trim();
+}
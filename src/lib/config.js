@@ -3,7 +3,21 @@
  *
  * Handles the .supabase-stateful.json config file that stores:
  * - stateFile: where to save the database state (default: supabase/local-state.sql)
+ * - format: how snapshots are stored - sql, gzip or custom (default: sql)
+ * - encrypt: encrypt snapshots at rest (key from SUPABASE_STATEFUL_PASSPHRASE / _KEY_FILE)
+ * - restoreMode / drift: replay snapshots as-is, or map them onto the current schema
+ * - cleanRestore: empty the captured tables before restoring instead of merging
+ * - onConflict: whether saved rows skip, overwrite or fail on rows that already exist
  * - containerName: the docker container name (e.g., supabase_db_myproject)
+ * - schemas / includeTables / excludeTables / schemaOnlyTables: what gets captured
+ * - storage: whether Supabase Storage buckets and uploaded files are saved too
+ * - snapshotDir: where named snapshots are kept (default: supabase/snapshots)
+ * - remote: shared store (directory or S3 bucket) for `snapshot push/pull`
+ * - cloud: which tables `export` / `sync` pull from the cloud project
+ * - historyDir / history: timestamped copies of each stop and their retention
+ * - autosaveDir / autosave: rolling snapshots taken by `watch` for crash recovery
+ * - testUsers: auth users that start creates when they don't exist
+ * - branchMode / branchDir / defaultBranch: keep a separate state per git branch
  */
 
 import fs from 'fs/promises';
@@ -12,7 +26,75 @@ const CONFIG_FILE = '.supabase-stateful.json';
 
 const DEFAULT_CONFIG = {
   stateFile: 'supabase/local-state.sql',
+  // Snapshot storage: 'sql' (plain), 'gzip' (.sql.gz) or 'custom' (pg_dump -Fc, .dump)
+  format: 'sql',
+  // Encrypt snapshots with a passphrase (SUPABASE_STATEFUL_PASSPHRASE) or key file
+  // (SUPABASE_STATEFUL_KEY_FILE) - restores decrypt automatically when the key is set
+  encrypt: false,
   containerName: null,
+  // Tables to capture: every table in these schemas, narrowed by glob patterns
+  // matching "schema.table" (or just the table name, e.g. "*_logs")
+  schemas: ['public', 'auth'],
+  includeTables: [],     // If set, only matching tables are captured
+  excludeTables: [],     // Never captured
+  schemaOnlyTables: [],  // Structure captured, rows skipped
+  // Save storage.buckets/objects and the uploaded files from the storage container
+  // (storageContainerName defaults to supabase_storage_<project>)
+  storage: true,
+  storageContainerName: null,
+  // 'merge' replays snapshots as-is; 'drift' loads them into a scratch schema
+  // and copies only the columns that still exist into the live tables
+  restoreMode: 'merge',
+  // Empty the captured tables before every restore (including start's) so the
+  // data matches the snapshot exactly, instead of merging into what's there
+  cleanRestore: false,
+  // What saved INSERTs do when a row with the same primary key exists (e.g. from
+  // seed.sql): 'skip' keeps the existing row, 'overwrite' replaces it with the
+  // snapshot's, 'fail' reports it as an error. Applied when the snapshot is saved
+  onConflict: 'skip',
+  // Rename mappings for drift restores, keyed by the snapshot's table name:
+  // { tables: { 'public.old': 'public.new' }, columns: { 'public.old': { old_col: 'new_col' } } }
+  drift: { tables: {}, columns: {} },
+  // Named snapshots (`snapshot save <name>`) live here as <name>.sql
+  snapshotDir: 'supabase/snapshots',
+  // Shared store for `snapshot push/pull`, e.g. { type: 'fs', path: '/Volumes/team/snapshots' }
+  // or { type: 's3', bucket, prefix, region, endpoint } (AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY)
+  remote: null,
+  // Cloud export/sync without --tables pulls every table the project's API exposes,
+  // narrowed by glob patterns on the table name (e.g. "*_logs"). Rows are fetched
+  // up to pageSize at a time (fewer if the project's max rows is lower)
+  cloud: {
+    includeTables: [],
+    excludeTables: [],
+    pageSize: 1000,
+    // Subsets (--root / --where) take at most this many rows per table through
+    // roots and children; subsetLimits overrides it per table, e.g. { events: 100 }
+    subsetLimit: 1000,
+    subsetLimits: {},
+    // Also export auth.users (from the admin API), all with this local password
+    authUsers: true,
+    authUserPassword: 'password123',
+  },
+  // Every stop keeps a timestamped copy here, pruned by the retention policy
+  historyDir: 'supabase/snapshots/.history',
+  history: {
+    keepLast: 10,      // Always keep the N most recent saves
+    keepDailyDays: 7,  // Plus the newest save of each day for M days
+  },
+  // `watch` saves here every interval minutes, keeping the newest `keep`
+  autosaveDir: 'supabase/snapshots/.autosave',
+  autosave: {
+    interval: 5,
+    keep: 5,
+  },
+  // Users start makes sure exist after restoring, matched by email. Each entry is
+  // { email, password, role?, metadata?, id? } - existing users aren't changed
+  testUsers: [],
+  // Opt-in: one state file per git branch, kept in branchDir. New branches start
+  // from defaultBranch's state (detected from origin/HEAD when null)
+  branchMode: false,
+  branchDir: 'supabase/snapshots/branches',
+  defaultBranch: null,
   // Services to run with dev:local (besides supabase and next)
   // Each entry is { name: 'INNGEST', command: 'npm run inngest', color: 'magenta' }
   devServices: [],
@@ -0,0 +1,116 @@
+/**
+ * Foreign key dependency graph
+ *
+ * Foreign keys come from the local catalog or from a PostgREST OpenAPI
+ * description (which notes each FK column as <fk table='...' column='...'/>).
+ * Tables are sorted so every table comes after the tables it references;
+ * tables that reference each other (or themselves) form a cycle and are
+ * grouped, so their references to each other can be set once all their rows are in.
+ */
+
+import { psqlQuery } from './docker.js';
+
+/**
+ * Every foreign key in the local database
+ * @returns {Promise<Array<{from: string, columns: string[], to: string, references: string[]}>>}
+ *   tables as schema.table
+ */
+export async function listForeignKeys() {
+  const rows = await psqlQuery(`
+    SELECT fn.nspname, f.relname, tn.nspname, t.relname,
+      (SELECT json_agg(a.attname ORDER BY k.ord) FROM unnest(c.conkey) WITH ORDINALITY AS k(attnum, ord)
+        JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum),
+      (SELECT json_agg(a.attname ORDER BY k.ord) FROM unnest(c.confkey) WITH ORDINALITY AS k(attnum, ord)
+        JOIN pg_attribute a ON a.attrelid = c.confrelid AND a.attnum = k.attnum)
+    FROM pg_constraint c
+    JOIN pg_class f ON f.oid = c.conrelid
+    JOIN pg_namespace fn ON fn.oid = f.relnamespace
+    JOIN pg_class t ON t.oid = c.confrelid
+    JOIN pg_namespace tn ON tn.oid = t.relnamespace
+    WHERE c.contype = 'f';
+  `);
+  return rows.map(([fromSchema, fromTable, toSchema, toTable, columns, references]) => ({
+    from: `${fromSchema}.${fromTable}`,
+    columns: JSON.parse(columns),
+    to: `${toSchema}.${toTable}`,
+    references: JSON.parse(references),
+  }));
+}
+
+/**
+ * Foreign keys between the tables of a PostgREST OpenAPI description
+ * The description only has single-column keys, one per referencing column
+ * @returns {Array<{from: string, columns: string[], to: string, references: string[]}>} - bare table names
+ */
+export function foreignKeysFromOpenApi(spec) {
+  const keys = [];
+  for (const [table, definition] of Object.entries(spec.definitions || {})) {
+    for (const [column, property] of Object.entries(definition.properties || {})) {
+      const match = (property.description || '').match(/<fk table='([^']+)' column='([^']+)'\/>/);
+      if (match) {
+        keys.push({ from: table, columns: [column], to: match[1], references: [match[2]] });
+      }
+    }
+  }
+  return keys;
+}
+
+/**
+ * Order tables so each comes after the ones it references
+ * @param {string[]} tables
+ * @param {Array<{from: string, to: string}>} foreignKeys - Keys to tables outside the list are ignored
+ * @returns {Array<{tables: string[], cyclic: boolean}>} - groups in load order; a cyclic group's
+ *   tables reference each other (or themselves), so those references can't all be inserted up front
+ */
+export function sortByDependencies(tables, foreignKeys) {
+  const names = [...tables].sort();
+  const references = new Map(names.map(name => [name, new Set()]));
+  for (const fk of foreignKeys) {
+    if (references.has(fk.from) && references.has(fk.to)) {
+      references.get(fk.from).add(fk.to);
+    }
+  }
+
+  // Tarjan's algorithm finishes a group only after every group it references,
+  // so groups come out parents first
+  const groups = [];
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+
+  function visit(name) {
+    index.set(name, index.size);
+    lowLink.set(name, index.get(name));
+    stack.push(name);
+    onStack.add(name);
+
+    for (const parent of [...references.get(name)].sort()) {
+      if (!index.has(parent)) {
+        visit(parent);
+        lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(parent)));
+      } else if (onStack.has(parent)) {
+        lowLink.set(name, Math.min(lowLink.get(name), index.get(parent)));
+      }
+    }
+
+    if (lowLink.get(name) === index.get(name)) {
+      const group = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        group.push(member);
+      } while (member !== name);
+      groups.push({
+        tables: group.sort(),
+        cyclic: group.length > 1 || references.get(name).has(name),
+      });
+    }
+  }
+
+  for (const name of names) {
+    if (!index.has(name)) visit(name);
+  }
+  return groups;
+}
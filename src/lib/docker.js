@@ -3,11 +3,15 @@
  *
  * Provides utilities for:
  * - Running commands inside the Supabase postgres container (psql, pg_dump)
+ * - Streaming dumps and restores through docker exec without buffering in memory
  * - Running shell commands (supabase start/stop)
  * - Checking if Supabase containers are running
  */
 
-import { execSync, spawnSync } from 'child_process';
+import { execSync, execFileSync, spawn, spawnSync } from 'child_process';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { createInterface } from 'readline';
 import { getConfig } from './config.js';
 
 /**
@@ -31,32 +35,204 @@ export async function psql(sql) {
 }
 
 /**
- * Run pg_dump inside the container and return the SQL output
+ * Run a query inside the container and return the result rows
+ * Each row is an array of column values (unaligned, tuples-only output)
+ * Arguments are passed without a shell, so the SQL needs no extra quoting
  */
-export async function pgDump(schemas = ['public', 'auth']) {
+export async function psqlQuery(sql) {
   const container = await getContainerName();
-  const schemaFlags = schemas.map(s => `--schema=${s}`).join(' ');
+  const output = execFileSync(
+    'docker',
+    ['exec', container, 'psql', '-U', 'postgres', '-d', 'postgres', '-t', '-A', '-F', '|', '-c', sql],
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 16 * 1024 * 1024 }
+  );
 
-  return execSync(
-    `docker exec ${container} pg_dump -U postgres -d postgres --data-only --inserts ${schemaFlags}`,
-    { encoding: 'utf8', maxBuffer: 50 * 1024 * 1024 } // 50MB buffer for large exports
+  return output
+    .split('\n')
+    .filter(line => line !== '')
+    .map(line => line.split('|'));
+}
+
+/**
+ * Quote an identifier for use in SQL ("my table" -> "\"my table\"")
+ */
+export function quoteIdent(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a string literal for use in SQL
+ */
+export function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Open a read-only transaction and export its snapshot, for pg_dump --snapshot
+ * Queries through query() see exactly the rows a dump taken with the snapshot
+ * holds, whatever is written meanwhile. close() ends the transaction - keep it
+ * open until the dump has finished.
+ * @returns {Promise<{id: string, query: (sql: string) => Promise<string[][]>, close: () => Promise<void>}>}
+ */
+export async function exportSnapshot() {
+  const child = await execInContainer(
+    ['psql', '-q', '-U', 'postgres', '-d', 'postgres', '-t', '-A', '-F', '|', '-v', 'ON_ERROR_STOP=1', '-f', '-'],
+    { input: true }
   );
+  const exited = waitForExit(child);
+  // Surfaced by the query that was waiting on it
+  exited.catch(() => {});
+  child.stdin.on('error', () => {});
+  const lines = createInterface({ input: child.stdout })[Symbol.asyncIterator]();
+  let queries = 0;
+
+  // Each query is followed by a marker row, so its output ends where the marker is
+  async function query(sql) {
+    const marker = `supabase-stateful:${++queries}`;
+    child.stdin.write(`${sql.trim().replace(/;?$/, ';')}\nSELECT ${quoteLiteral(marker)};\n`);
+
+    const rows = [];
+    for (;;) {
+      const { value, done } = await lines.next();
+      if (done) {
+        await exited;
+        throw new Error('psql exited before the query finished');
+      }
+      if (value === marker) return rows;
+      if (value !== '') rows.push(value.split('|'));
+    }
+  }
+
+  try {
+    await query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const [[id]] = await query('SELECT pg_export_snapshot()');
+    return {
+      id,
+      query,
+      async close() {
+        child.stdin.end('COMMIT;\n');
+        await exited.catch(() => {});
+      },
+    };
+  } catch (err) {
+    child.stdin.end();
+    throw err;
+  }
 }
 
 /**
- * Copy a file into the container and run psql on it
+ * Run pg_dump inside the container, streaming the SQL straight to a file
+ */
+export async function pgDump(outputPath, schemas = ['public', 'auth']) {
+  const schemaFlags = schemas.map(s => `--schema=${s}`);
+  const dump = await execInContainer(
+    ['pg_dump', '-U', 'postgres', '-d', 'postgres', '--data-only', '--inserts', ...schemaFlags]
+  );
+
+  await Promise.all([
+    pipeline(dump.stdout, createWriteStream(outputPath)),
+    waitForExit(dump),
+  ]);
+}
+
+/**
+ * Stream a local SQL file into psql inside the container
+ * Uses stdin rather than docker cp so file size isn't limited by memory
  */
 export async function psqlFile(localPath) {
-  const container = await getContainerName();
+  return psqlStream(createReadStream(localPath));
+}
+
+/**
+ * Pipe a readable stream of SQL into psql inside the container
+ * - echoErrors: print each failed statement to stderr after its error (psql -b)
+ * - onStderrLine: called with every stderr line (errors, notices)
+ * ON_ERROR_STOP is off, so a failing statement doesn't abort the rest
+ */
+export async function psqlStream(source, { echoErrors = false, onStderrLine } = {}) {
+  const child = await execInContainer(
+    [
+      'psql', '-q', '-U', 'postgres', '-d', 'postgres', '-v', 'ON_ERROR_STOP=0',
+      ...(echoErrors ? ['-b'] : []),
+      '-f', '-',
+    ],
+    { input: true, output: false }
+  );
 
-  // Copy file into container
-  execSync(`docker cp "${localPath}" "${container}:/tmp/state.sql"`);
+  await Promise.all([
+    pipeline(source, child.stdin),
+    waitForExit(child, onStderrLine),
+  ]);
+}
 
-  // Run psql on the file
-  return execSync(
-    `docker exec ${container} psql -U postgres -d postgres -f /tmp/state.sql`,
-    { encoding: 'utf8', maxBuffer: 50 * 1024 * 1024 }
+/**
+ * Pipe a custom-format archive into pg_restore inside the container
+ * Runs with session_replication_role = replica so FK order doesn't matter
+ * - onStderrLine: called with every stderr line
+ */
+export async function pgRestoreStream(source, { onStderrLine } = {}) {
+  const child = await execInContainer(
+    ['pg_restore', '-U', 'postgres', '-d', 'postgres', '--no-owner'],
+    { input: true, output: false, env: { PGOPTIONS: '-c session_replication_role=replica' } }
   );
+
+  await Promise.all([
+    pipeline(source, child.stdin),
+    waitForExit(child, onStderrLine),
+  ]);
+}
+
+/**
+ * Spawn a command inside the Supabase postgres container with streamed stdio
+ * - input: open stdin for writing (docker exec -i)
+ * - output: expose stdout as a stream (otherwise it's discarded)
+ * - env: extra environment variables for the command (docker exec -e)
+ * - container: run in another container (e.g. storage) instead of postgres
+ * stderr is always piped so waitForExit() can report failures
+ */
+export async function execInContainer(args, { input = false, output = true, env = {}, container } = {}) {
+  const envFlags = Object.entries(env).flatMap(([key, value]) => ['-e', `${key}=${value}`]);
+  const execArgs = ['exec', ...(input ? ['-i'] : []), ...envFlags, container || await getContainerName(), ...args];
+
+  return spawn('docker', execArgs, {
+    stdio: [input ? 'pipe' : 'ignore', output ? 'pipe' : 'ignore', 'pipe'],
+  });
+}
+
+/**
+ * Wait for a spawned process to exit
+ * Resolves with its stderr, rejects with stderr as the message on non-zero exit
+ * Call it straight after spawning, before any await, so the exit isn't missed
+ * @param {ChildProcess} child
+ * @param {function(string): void} [onStderrLine] - Called with each full stderr line
+ */
+export function waitForExit(child, onStderrLine) {
+  return new Promise((resolve, reject) => {
+    let stderr = '';
+    let partial = '';
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      // Keep only the tail - enough for an error message without unbounded growth
+      stderr = (stderr + chunk).slice(-64 * 1024);
+
+      if (onStderrLine) {
+        const lines = (partial + chunk).split('\n');
+        partial = lines.pop();
+        lines.forEach(onStderrLine);
+      }
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (onStderrLine && partial) {
+        onStderrLine(partial);
+      }
+      if (code === 0) {
+        resolve(stderr);
+      } else {
+        reject(new Error(stderr.trim() || `${child.spawnargs.join(' ')} exited with code ${code}`));
+      }
+    });
+  });
 }
 
 /**
@@ -94,3 +270,18 @@ export function isRunning() {
     return false;
   }
 }
+
+/**
+ * Check if a specific container is running
+ */
+export function isContainerRunning(name) {
+  try {
+    const output = execFileSync('docker', ['ps', '--format', '{{.Names}}'], {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    return output.split('\n').includes(name);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * Schema-drift-tolerant restore
+ *
+ * A snapshot's INSERTs are positional against the CREATE TABLE it was saved
+ * with, so a renamed or dropped column makes every row of that table fail.
+ * Drift mode avoids that:
+ * 1. Load the snapshot's tables and rows into a scratch schema, with every
+ *    column as text (no constraints, so nothing can fail)
+ * 2. For each table, copy rows into the live table using only the columns
+ *    that still exist, casting text to the current column types
+ *    (config.drift holds table/column rename mappings)
+ * 3. If a table's bulk copy fails, fall back to row by row and report the
+ *    rows that couldn't be copied
+ *    (existing rows are skipped, overwritten or reported as the snapshot's
+ *    onConflict strategy says)
+ * 4. Drop the scratch schema
+ */
+
+import { Readable, Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { pipeline } from 'stream/promises';
+import { getConfig } from './config.js';
+import {
+  execInContainer,
+  waitForExit,
+  psqlStream,
+  psqlQuery,
+  quoteIdent,
+  quoteLiteral,
+} from './docker.js';
+import { SKIPPED_MARKER } from './restore-report.js';
+import { getPrimaryKeys } from './tables.js';
+import { log } from '../utils/log.js';
+
+export const SCRATCH_SCHEMA = '_stateful_restore';
+
+// schema.table, each part either "quoted" or a bare identifier
+const QUALIFIED_NAME = /^((?:"(?:[^"]|"")+"|[^\s."(]+)\.(?:"(?:[^"]|"")+"|[^\s."(]+))/;
+
+/**
+ * Restore a snapshot via the scratch schema
+ * @param {import('stream').Readable} source - The snapshot's contents, from openSnapshot()
+ * @param {string} format - Its format (sql, gzip or custom)
+ * @param {object} report - Restore report collecting errors
+ * @param {object} [options]
+ * @param {string} [options.onConflict] - What to do with rows that already exist
+ *   (skip, overwrite or fail - see sql-stream.js)
+ */
+export async function restoreWithDrift(source, format, report, { onConflict = 'skip' } = {}) {
+  const config = await getConfig();
+  const renames = { tables: {}, columns: {}, ...config.drift };
+  const onStderrLine = line => report.addLine(line);
+
+  // 1. Load into the scratch schema
+  log.dim(`Loading snapshot into scratch schema ${SCRATCH_SCHEMA}...`);
+  const snapshotTables = new Map();
+  const { stream, done } = await openSqlStream(source, format);
+  const scratchSql = Readable.from((async function* () {
+    yield `DROP SCHEMA IF EXISTS ${quoteIdent(SCRATCH_SCHEMA)} CASCADE;\n`;
+    yield `CREATE SCHEMA ${quoteIdent(SCRATCH_SCHEMA)};\n`;
+    yield* stream.pipe(scratchTransform(snapshotTables));
+  })());
+
+  await Promise.all([psqlStream(scratchSql, { onStderrLine }), done]);
+
+  // 2. Copy into the live tables
+  const liveTables = await getLiveColumns([...snapshotTables.keys()], renames);
+  const primaryKeys = onConflict === 'overwrite'
+    ? await getPrimaryKeys([...liveTables.keys()].map(name => {
+      const [schema, table] = splitName(name);
+      return { schema, table };
+    }))
+    : new Map();
+  const copySql = [
+    'SET session_replication_role = replica;',
+    ...[...snapshotTables].map(([name, columns]) =>
+      copyTableSql(name, columns, liveTables, renames, conflictClause(onConflict, primaryKeys))
+    ),
+    'SET session_replication_role = DEFAULT;',
+    `DROP SCHEMA ${quoteIdent(SCRATCH_SCHEMA)} CASCADE;`,
+    '',
+  ].join('\n');
+
+  log.dim(`Copying ${snapshotTables.size} table(s) into the current schema...`);
+  await psqlStream(Readable.from([copySql]), { echoErrors: true, onStderrLine });
+}
+
+/**
+ * Turn a snapshot's contents into a stream of plain SQL
+ * Custom-format archives are converted by pg_restore inside the container
+ */
+async function openSqlStream(source, format) {
+  if (format !== 'custom') {
+    return { stream: source, done: Promise.resolve() };
+  }
+
+  const child = await execInContainer(['pg_restore', '-f', '-'], { input: true });
+  return {
+    stream: child.stdout,
+    done: Promise.all([pipeline(source, child.stdin), waitForExit(child)]),
+  };
+}
+
+/**
+ * Transform a snapshot into SQL that loads it into the scratch schema
+ * Keeps only CREATE TABLE (as all-text columns), INSERT and COPY data,
+ * with table names rewritten to "_stateful_restore"."schema.table".
+ * Records each table's column list in the tables Map as it goes.
+ */
+export function scratchTransform(tables) {
+  const decoder = new StringDecoder('utf8');
+  let partial = '';
+  let mode = 'skip';     // skip | create | insert | copy
+  let current = null;    // Table being created
+  let quotes = 0;        // Quote parity inside an INSERT
+
+  function processLine(line) {
+    if (mode === 'create') {
+      if (line.startsWith(')')) {
+        mode = 'skip';
+        const columns = tables.get(current);
+        return `CREATE TABLE ${scratchName(current)} (${columns.map(c => `${quoteIdent(c)} text`).join(', ')});\n`;
+      }
+      const column = line.trim().match(/^("(?:[^"]|"")+"|\S+)/);
+      if (column && !/^(CONSTRAINT|CHECK|UNIQUE|PRIMARY|FOREIGN|EXCLUDE)\b/.test(line.trim())) {
+        tables.get(current).push(unquoteIdent(column[1]));
+      }
+      return '';
+    }
+
+    if (mode === 'insert') {
+      // ON CONFLICT targets the live table's key - scratch tables have none
+      if (quotes % 2 === 0 && line.startsWith('ON CONFLICT ')) {
+        mode = 'skip';
+        return ';\n';
+      }
+      quotes += countQuotes(line);
+      if (quotes % 2 === 0 && line.endsWith(';')) {
+        mode = 'skip';
+      }
+      return `${line}\n`;
+    }
+
+    if (mode === 'copy') {
+      if (line === '\\.') {
+        mode = 'skip';
+      }
+      return `${line}\n`;
+    }
+
+    const create = line.match(/^CREATE (?:UNLOGGED )?TABLE (.+?) \($/);
+    if (create && QUALIFIED_NAME.test(create[1])) {
+      mode = 'create';
+      current = normalizeName(create[1]);
+      tables.set(current, []);
+      return '';
+    }
+
+    const insert = line.match(/^INSERT INTO (\S+)( .*)$/);
+    if (insert && tables.has(normalizeName(insert[1]))) {
+      quotes = countQuotes(insert[2]);
+      mode = quotes % 2 === 0 && line.endsWith(';') ? 'skip' : 'insert';
+      return `INSERT INTO ${scratchName(normalizeName(insert[1]))}${insert[2]}\n`;
+    }
+
+    const copy = line.match(/^COPY (\S+)( .* FROM stdin;)$/);
+    if (copy && tables.has(normalizeName(copy[1]))) {
+      mode = 'copy';
+      return `COPY ${scratchName(normalizeName(copy[1]))}${copy[2]}\n`;
+    }
+
+    return '';
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const lines = (partial + decoder.write(chunk)).split('\n');
+      partial = lines.pop();
+      callback(null, lines.map(processLine).join(''));
+    },
+    flush(callback) {
+      const rest = partial + decoder.end();
+      callback(null, rest ? processLine(rest) : '');
+    },
+  });
+}
+
+/**
+ * Look up the current columns of the tables a snapshot maps onto
+ * @returns {Promise<Map<string, Array<{name: string, type: string}>>>} - keyed by schema.table
+ */
+async function getLiveColumns(snapshotTables, renames) {
+  const targets = snapshotTables.map(name => renames.tables[name] || name);
+  const schemas = [...new Set(targets.map(name => name.split('.')[0]))];
+  if (schemas.length === 0) {
+    return new Map();
+  }
+
+  const rows = await psqlQuery(`
+    SELECT n.nspname || '.' || c.relname, a.attname, format_type(a.atttypid, a.atttypmod)
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname IN (${schemas.map(quoteLiteral).join(', ')})
+      AND c.relkind IN ('r', 'p')
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      AND a.attgenerated = ''
+    ORDER BY 1, a.attnum;
+  `);
+
+  const live = new Map();
+  for (const [table, name, type] of rows) {
+    if (!live.has(table)) live.set(table, []);
+    live.get(table).push({ name, type });
+  }
+  return live;
+}
+
+/**
+ * Make the ON CONFLICT clause builder for a strategy
+ * @returns {function(string, string[]): string} - (live table, columns copied) => clause
+ */
+function conflictClause(onConflict, primaryKeys) {
+  return (target, columns) => {
+    if (onConflict === 'fail') {
+      return '';
+    }
+    const key = primaryKeys.get(target);
+    const update = columns.filter(column => !key?.includes(column));
+    if (onConflict !== 'overwrite' || !key || !key.every(column => columns.includes(column)) || update.length === 0) {
+      return 'ON CONFLICT DO NOTHING';
+    }
+    return `ON CONFLICT (${key.map(quoteIdent).join(', ')}) DO UPDATE SET ${update
+      .map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`)
+      .join(', ')}`;
+  };
+}
+
+/**
+ * Build the SQL that copies one scratch table into its live table
+ * Tries one bulk INSERT ... SELECT; if any row fails, retries row by row
+ * and RAISEs a warning with the number of rows that couldn't be copied
+ */
+function copyTableSql(name, snapshotColumns, liveTables, renames, onConflict) {
+  const target = renames.tables[name] || name;
+  const columnRenames = renames.columns[name] || {};
+  const scratch = scratchName(name);
+  const liveColumns = liveTables.get(target);
+
+  if (!liveColumns) {
+    return skippedSql(name, `SELECT count(*) FROM ${scratch}`, `relation "${target}" does not exist`);
+  }
+
+  const liveTypes = new Map(liveColumns.map(c => [c.name, c.type]));
+  const pairs = snapshotColumns
+    .map(column => ({ from: column, to: columnRenames[column] || column }))
+    .filter(({ to }) => liveTypes.has(to));
+
+  const dropped = snapshotColumns.filter(c => !pairs.some(p => p.from === c));
+  if (dropped.length > 0) {
+    log.dim(`  ${name}: not restoring column(s) no longer in the schema: ${dropped.join(', ')}`);
+  }
+  if (target !== name) {
+    log.dim(`  ${name}: restoring into ${target}`);
+  }
+  if (pairs.length === 0) {
+    return skippedSql(name, `SELECT count(*) FROM ${scratch}`, `no columns of "${name}" exist in "${target}"`);
+  }
+
+  const [schema, table] = splitName(target);
+  const insertInto = `INSERT INTO ${quoteIdent(schema)}.${quoteIdent(table)} (${pairs.map(p => quoteIdent(p.to)).join(', ')}) OVERRIDING SYSTEM VALUE`;
+  const values = (source) => pairs
+    .map(p => `${source}${quoteIdent(p.from)}::${liveTypes.get(p.to)}`)
+    .join(', ');
+  const conflict = onConflict(target, pairs.map(p => p.to));
+
+  return `DO $stateful$
+DECLARE
+  r record;
+  skipped bigint := 0;
+  first_error text;
+BEGIN
+  BEGIN
+    ${insertInto}
+    SELECT ${values('s.')} FROM ${scratch} s
+    ${conflict};
+  EXCEPTION WHEN others THEN
+    FOR r IN SELECT * FROM ${scratch} LOOP
+      BEGIN
+        ${insertInto}
+        VALUES (${values('r.')})
+        ${conflict};
+      EXCEPTION WHEN others THEN
+        skipped := skipped + 1;
+        first_error := coalesce(first_error, SQLERRM);
+      END;
+    END LOOP;
+  END;
+  IF skipped > 0 THEN
+    RAISE WARNING '${SKIPPED_MARKER} % row(s) of ${name.replace(/'/g, "''")}: %', skipped, first_error;
+  END IF;
+END
+$stateful$;`;
+}
+
+/**
+ * SQL that reports every row of a table as skipped
+ */
+function skippedSql(name, countQuery, reason) {
+  return `DO $stateful$
+DECLARE
+  skipped bigint := (${countQuery});
+BEGIN
+  IF skipped > 0 THEN
+    RAISE WARNING '${SKIPPED_MARKER} % row(s) of ${name.replace(/'/g, "''")}: %', skipped, ${quoteLiteral(reason)};
+  END IF;
+END
+$stateful$;`;
+}
+
+function scratchName(name) {
+  return `${quoteIdent(SCRATCH_SCHEMA)}.${quoteIdent(name)}`;
+}
+
+/**
+ * Turn a possibly-quoted schema.table into the plain "schema.table" key
+ */
+function normalizeName(qualified) {
+  const match = qualified.match(QUALIFIED_NAME);
+  const [schema, table] = splitQuoted(match ? match[1] : qualified);
+  return `${schema}.${table}`;
+}
+
+function splitQuoted(qualified) {
+  const parts = qualified.match(/"(?:[^"]|"")+"|[^.]+/g);
+  return [unquoteIdent(parts[0]), unquoteIdent(parts.slice(1).join('.'))];
+}
+
+function splitName(name) {
+  const dot = name.indexOf('.');
+  return [name.slice(0, dot), name.slice(dot + 1)];
+}
+
+function unquoteIdent(ident) {
+  return ident.startsWith('"') ? ident.slice(1, -1).replace(/""/g, '"') : ident;
+}
+
+function countQuotes(text) {
+  let count = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 39) count++;
+  }
+  return count;
+}
@@ -0,0 +1,187 @@
+/**
+ * Snapshot encryption at rest (config.encrypt)
+ *
+ * Encrypted snapshots keep their usual extension, but the file is
+ * AES-256-GCM ciphertext of the sql / gzip / custom bytes:
+ *
+ *   SSENC | version | format | salt (16) | iv (12) | key check (8) | ciphertext | auth tag (16)
+ *
+ * The key is derived with scrypt from a passphrase in SUPABASE_STATEFUL_PASSPHRASE,
+ * or from the contents of the file named by SUPABASE_STATEFUL_KEY_FILE.
+ * The key check lets a wrong key fail up front instead of feeding garbage to psql.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from 'crypto';
+
+export const ENCRYPTION_MAGIC = 'SSENC';
+const VERSION = 1;
+const FORMAT_CODES = ['sql', 'gzip', 'custom'];
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const CHECK_LENGTH = 8;
+const TAG_LENGTH = 16;
+export const HEADER_LENGTH = ENCRYPTION_MAGIC.length + 2 + SALT_LENGTH + IV_LENGTH + CHECK_LENGTH;
+
+const PASSPHRASE_ENV = 'SUPABASE_STATEFUL_PASSPHRASE';
+const KEY_FILE_ENV = 'SUPABASE_STATEFUL_KEY_FILE';
+
+/**
+ * Read the secret from the environment
+ * @returns {Promise<Buffer|null>} - null if neither variable is set
+ */
+export async function getSecret() {
+  if (process.env[PASSPHRASE_ENV]) {
+    return Buffer.from(process.env[PASSPHRASE_ENV], 'utf8');
+  }
+  if (process.env[KEY_FILE_ENV]) {
+    try {
+      return await fs.readFile(process.env[KEY_FILE_ENV]);
+    } catch (err) {
+      throw new Error(`Could not read key file ${process.env[KEY_FILE_ENV]} (${KEY_FILE_ENV}): ${err.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the secret, throwing with a hint if it isn't set
+ */
+export async function requireSecret(reason) {
+  const secret = await getSecret();
+  if (!secret) {
+    throw new Error(`${reason} - set ${PASSPHRASE_ENV} or ${KEY_FILE_ENV}`);
+  }
+  return secret;
+}
+
+/**
+ * Pipeline stage that encrypts a snapshot as it streams to disk
+ * @param {Buffer} secret - From getSecret()
+ * @param {string} format - Format of the plaintext (recorded in the header)
+ */
+export function encryptStage(secret, format) {
+  const salt = randomBytes(SALT_LENGTH);
+  const iv = randomBytes(IV_LENGTH);
+  const key = deriveKey(secret, salt);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+
+  return async function* (chunks) {
+    yield Buffer.concat([
+      Buffer.from(ENCRYPTION_MAGIC, 'latin1'),
+      Buffer.from([VERSION, FORMAT_CODES.indexOf(format)]),
+      salt,
+      iv,
+      keyCheck(key),
+    ]);
+    for await (const chunk of chunks) {
+      yield cipher.update(chunk);
+    }
+    yield cipher.final();
+    yield cipher.getAuthTag();
+  };
+}
+
+/**
+ * Parse an encryption header, or return null if the bytes aren't one
+ * @returns {{format: string, salt: Buffer, iv: Buffer, check: Buffer}|null}
+ */
+export function parseHeader(bytes) {
+  if (bytes.length < ENCRYPTION_MAGIC.length + 2
+    || bytes.toString('latin1', 0, ENCRYPTION_MAGIC.length) !== ENCRYPTION_MAGIC) {
+    return null;
+  }
+
+  let offset = ENCRYPTION_MAGIC.length;
+  const version = bytes[offset++];
+  if (version !== VERSION) {
+    throw new Error(`Unsupported encrypted snapshot version ${version}`);
+  }
+  const format = FORMAT_CODES[bytes[offset++]];
+  const salt = bytes.subarray(offset, offset += SALT_LENGTH);
+  const iv = bytes.subarray(offset, offset += IV_LENGTH);
+  const check = bytes.subarray(offset, offset += CHECK_LENGTH);
+  return { format, salt, iv, check };
+}
+
+/**
+ * Check whether a snapshot file is encrypted
+ */
+export async function isEncrypted(file) {
+  const handle = await fs.open(file, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(ENCRYPTION_MAGIC.length), 0, ENCRYPTION_MAGIC.length, 0);
+    return buffer.toString('latin1', 0, bytesRead) === ENCRYPTION_MAGIC;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Open a file for reading, decrypting it if needed
+ * A tampered file is rejected before any plaintext is returned.
+ * Use openSnapshot() in formats.js to also decompress.
+ * @returns {Promise<import('stream').Readable>}
+ */
+export async function openDecrypted(file) {
+  if (!await isEncrypted(file)) {
+    return createReadStream(file);
+  }
+
+  const handle = await fs.open(file, 'r');
+  let header;
+  let tag;
+  let size;
+  try {
+    size = (await handle.stat()).size;
+    if (size < HEADER_LENGTH + TAG_LENGTH) {
+      throw new Error(`${file} is truncated`);
+    }
+    header = parseHeader((await handle.read(Buffer.alloc(HEADER_LENGTH), 0, HEADER_LENGTH, 0)).buffer);
+    tag = (await handle.read(Buffer.alloc(TAG_LENGTH), 0, TAG_LENGTH, size - TAG_LENGTH)).buffer;
+  } finally {
+    await handle.close();
+  }
+
+  const key = deriveKey(await requireSecret(`${file} is encrypted`), header.salt);
+  if (!keyCheck(key).equals(header.check)) {
+    throw new Error(`Wrong passphrase or key file for ${file}`);
+  }
+
+  // GCM only checks the tag after the last byte, by which point psql would have
+  // applied everything before it - so authenticate the whole file, then decrypt
+  // it again for real (no plaintext copy ever touches the disk)
+  const range = { start: HEADER_LENGTH, end: size - TAG_LENGTH - 1 };
+  const verifier = createDecipheriv('aes-256-gcm', key, header.iv);
+  verifier.setAuthTag(tag);
+  for await (const chunk of createReadStream(file, range)) {
+    verifier.update(chunk);
+  }
+  try {
+    verifier.final();
+  } catch {
+    throw new Error(`${file} failed authentication - it was modified or corrupted after it was encrypted`);
+  }
+
+  const decipher = createDecipheriv('aes-256-gcm', key, header.iv);
+  decipher.setAuthTag(tag);
+  return chain(createReadStream(file, range), decipher);
+}
+
+/**
+ * Pipe source into transform, passing source errors along
+ * (plain .pipe() would leave the transform waiting forever)
+ */
+export function chain(source, transform) {
+  source.on('error', err => transform.destroy(err));
+  return source.pipe(transform);
+}
+
+function deriveKey(secret, salt) {
+  return scryptSync(secret, salt, 32);
+}
+
+function keyCheck(key) {
+  return createHash('sha256').update('supabase-stateful key check').update(key).digest().subarray(0, CHECK_LENGTH);
+}
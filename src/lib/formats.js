@@ -0,0 +1,129 @@
+/**
+ * Snapshot storage formats
+ *
+ * - sql:    plain --inserts SQL (default, human readable, diffable)
+ * - gzip:   the same SQL, gzip-compressed (.sql.gz)
+ * - custom: pg_dump custom format (.dump), COPY-based and restored with pg_restore
+ *
+ * A snapshot path like supabase/local-state.sql names the snapshot; the
+ * file actually on disk carries the extension of the format it was saved in.
+ * Any format can additionally be encrypted (see encryption.js).
+ */
+
+import fs from 'fs/promises';
+import { createGunzip } from 'zlib';
+import { parseHeader, openDecrypted, chain, HEADER_LENGTH } from './encryption.js';
+
+export const FORMATS = {
+  sql: { extension: '.sql', label: 'SQL' },
+  gzip: { extension: '.sql.gz', label: 'SQL (gzip)' },
+  custom: { extension: '.dump', label: 'pg_dump custom' },
+};
+
+// Longest first so .sql.gz isn't mistaken for .sql
+const EXTENSIONS = ['.sql.gz', '.dump', '.sql'];
+
+/**
+ * Check a format name from config, throwing on unknown values
+ */
+export function checkFormat(format) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown snapshot format "${format}" (expected: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Strip a known snapshot extension from a file name
+ */
+export function stripExtension(file) {
+  const ext = EXTENSIONS.find(e => file.endsWith(e));
+  return ext ? file.slice(0, -ext.length) : file;
+}
+
+/**
+ * Get the path of every format variant of a snapshot path
+ * A path without a known extension is used as-is for plain SQL
+ */
+export function variantsOf(file) {
+  const base = stripExtension(file);
+  return {
+    sql: base === file ? file : `${base}.sql`,
+    gzip: `${base}.sql.gz`,
+    custom: `${base}.dump`,
+  };
+}
+
+/**
+ * Get the path a snapshot is written to in a given format
+ */
+export function withFormat(file, format) {
+  return variantsOf(file)[checkFormat(format)];
+}
+
+/**
+ * Find the file on disk for a snapshot path, whatever format it was saved in
+ * Returns null if no variant exists; the newest wins if several do
+ */
+export async function findSnapshotFile(file) {
+  let found = null;
+  for (const candidate of new Set(Object.values(variantsOf(file)))) {
+    try {
+      const stats = await fs.stat(candidate);
+      if (!found || stats.mtimeMs > found.mtimeMs) {
+        found = { path: candidate, mtimeMs: stats.mtimeMs };
+      }
+    } catch {
+      // Variant doesn't exist
+    }
+  }
+  return found ? found.path : null;
+}
+
+/**
+ * Delete every variant of a snapshot except the one just written
+ * Keeps a single file per snapshot when the configured format changes
+ */
+export async function removeOtherVariants(file) {
+  for (const candidate of Object.values(variantsOf(file))) {
+    if (candidate !== file) {
+      await fs.rm(candidate, { force: true });
+    }
+  }
+}
+
+/**
+ * Detect a snapshot file's format from its first bytes
+ * Encrypted snapshots report the format of the data inside them
+ */
+export async function detectFormat(file) {
+  const handle = await fs.open(file, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_LENGTH), 0, HEADER_LENGTH, 0);
+    const magic = buffer.subarray(0, Math.min(bytesRead, 5));
+    const encrypted = parseHeader(buffer.subarray(0, bytesRead));
+    if (encrypted) return encrypted.format;
+    if (magic[0] === 0x1f && magic[1] === 0x8b) return 'gzip';
+    if (magic.toString('latin1') === 'PGDMP') return 'custom';
+    return 'sql';
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Open a snapshot as a stream of its plain contents - decrypted, and
+ * gunzipped for gzip snapshots (custom archives come out as-is)
+ * Errors (e.g. a tampered encrypted file) surface through whatever
+ * pipeline consumes the stream, even if they happen before it's attached.
+ * @returns {Promise<import('stream').Readable>}
+ */
+export async function openSnapshot(file) {
+  const format = await detectFormat(file);
+  let stream = await openDecrypted(file);
+  if (format === 'gzip') {
+    stream = chain(stream, createGunzip());
+  }
+  stream.on('error', () => {});
+  return stream;
+}
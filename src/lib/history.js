@@ -0,0 +1,165 @@
+/**
+ * Snapshot history - timestamped copies of every saved state
+ *
+ * Each stop copies the freshly saved state file into config.historyDir
+ * as <timestamp>.sql (or .sql.gz / .dump, matching its format) along with
+ * its manifest and storage archive, then prunes old entries according to
+ * the retention policy in config.history:
+ * - keepLast: always keep the N most recent entries
+ * - keepDailyDays: also keep the newest entry of each day for M days
+ */
+
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import path from 'path';
+import { getConfig } from './config.js';
+import { formatBytes } from './state.js';
+import { stripExtension } from './formats.js';
+import { readManifest, writeManifest, manifestPathFor } from './manifest.js';
+import { copyStorageArchive, storageArchivePathFor } from './storage.js';
+
+// Ids saved before milliseconds were added have none (2026-01-31T09-15-00Z)
+const ENTRY_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(?:-\d{3})?Z)(\.sql|\.sql\.gz|\.dump)$/;
+
+/**
+ * Turn a Date into a filesystem-safe history id (2026-01-31T09-15-00-123Z)
+ * Milliseconds keep saves in the same second (a stop right after an autosave) apart
+ */
+export function toHistoryId(date) {
+  return date.toISOString().replace(/\.(\d{3})Z$/, '-$1Z').replace(/:/g, '-');
+}
+
+/**
+ * Parse a history id back into a Date
+ */
+function fromHistoryId(id) {
+  const [, day, hours, minutes, seconds, millis = '000'] = id.match(/^(.*)T(\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?Z$/);
+  return new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+/**
+ * Copy a saved state file into history and apply retention
+ * Returns the new history id and the ids that were pruned
+ */
+export async function recordHistory(stateFile) {
+  const config = await getConfig();
+  const id = toHistoryId(new Date());
+
+  const extension = stateFile.slice(stripExtension(stateFile).length) || '.sql';
+  const entryFile = path.join(config.historyDir, `${id}${extension}`);
+  await fs.mkdir(config.historyDir, { recursive: true });
+  // Fail rather than silently replace an entry with the same id
+  await fs.copyFile(stateFile, entryFile, constants.COPYFILE_EXCL);
+  await copyManifest(stateFile, entryFile);
+  await copyStorageArchive(stateFile, entryFile);
+
+  const pruned = await pruneHistory();
+  return { id, pruned };
+}
+
+/**
+ * List history entries, newest first
+ */
+export async function listHistory() {
+  const config = await getConfig();
+  return listEntries(config.historyDir);
+}
+
+/**
+ * List the timestamped snapshots in a directory, newest first
+ * Shared with autosave, which keeps its entries the same way
+ */
+export async function listEntries(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const history = [];
+  for (const entry of entries) {
+    const match = entry.match(ENTRY_PATTERN);
+    if (!match) continue;
+
+    const filePath = path.join(dir, entry);
+    const stats = await fs.stat(filePath);
+    history.push({
+      id: match[1],
+      path: filePath,
+      date: fromHistoryId(match[1]),
+      size: formatBytes(stats.size),
+    });
+  }
+
+  return history.sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Find a history entry by id
+ * Accepts an exact id, an ISO timestamp, or a prefix (e.g. 2026-01-31)
+ * in which case the newest matching entry wins
+ */
+export async function findHistoryEntry(timestamp) {
+  // Without the Z, a timestamp to the second also finds entries with milliseconds
+  const wanted = timestamp.replace(/\.(\d{3})Z?$/, '-$1').replace(/Z$/, '').replace(/:/g, '-');
+  const history = await listHistory();
+  return history.find(entry => entry.id === `${wanted}Z`)
+    || history.find(entry => entry.id.startsWith(wanted))
+    || null;
+}
+
+/**
+ * Delete history entries not covered by the retention policy
+ * Returns the ids that were removed
+ */
+export async function pruneHistory() {
+  const config = await getConfig();
+  const { keepLast = 10, keepDailyDays = 7 } = config.history || {};
+  const history = await listHistory();
+
+  const keep = new Set(history.slice(0, keepLast).map(entry => entry.id));
+
+  // Newest entry per calendar day (UTC), for the last keepDailyDays days
+  const cutoff = Date.now() - keepDailyDays * 24 * 60 * 60 * 1000;
+  const seenDays = new Set();
+  for (const entry of history) {
+    if (entry.date.getTime() < cutoff) continue;
+    const day = entry.id.slice(0, 10);
+    if (!seenDays.has(day)) {
+      seenDays.add(day);
+      keep.add(entry.id);
+    }
+  }
+
+  const pruned = [];
+  for (const entry of history) {
+    if (keep.has(entry.id)) continue;
+    await removeEntry(entry);
+    pruned.push(entry.id);
+  }
+
+  return pruned;
+}
+
+/**
+ * Delete an entry along with its manifest and storage archive
+ */
+export async function removeEntry(entry) {
+  await fs.rm(entry.path, { force: true });
+  await fs.rm(manifestPathFor(entry.path), { force: true });
+  await fs.rm(storageArchivePathFor(entry.path), { force: true });
+}
+
+/**
+ * Copy a snapshot's manifest alongside a copy of the snapshot
+ * The manifest's file name is updated so it still matches its snapshot
+ */
+export async function copyManifest(fromFile, toFile) {
+  const manifest = await readManifest(fromFile);
+  if (manifest) {
+    await writeManifest(toFile, { ...manifest, file: path.basename(toFile) });
+  } else {
+    await fs.rm(manifestPathFor(toFile), { force: true });
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Local JWTs
+ *
+ * The local stack signs its tokens with a known secret (the demo secret unless
+ * config.toml sets auth.jwt_secret), so tokens for any user or role can be
+ * minted here instead of signing in through the app. They're HS256 tokens
+ * with the same claims GoTrue puts in a password sign-in's access token, so
+ * PostgREST, Storage and RLS policies (auth.uid(), auth.jwt()) treat them
+ * the same.
+ *
+ * The secret is read from the running stack (`supabase status`), then
+ * supabase/config.toml, then the demo default.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { execFileSync } from 'child_process';
+import toml from 'toml';
+
+// The secret `supabase start` uses when config.toml doesn't set one
+export const DEFAULT_JWT_SECRET = 'super-secret-jwt-token-with-at-least-32-characters-long';
+
+const DEFAULT_API_URL = 'http://127.0.0.1:54321';
+
+// Claims of the anon key the CLI generates - same secret, same key
+const ANON_KEY_CLAIMS = { iss: 'supabase-demo', role: 'anon', exp: 1983812996 };
+
+/**
+ * Find the JWT secret, API URL and anon key of the local stack
+ * @returns {Promise<{secret: string, apiUrl: string, anonKey: string}>}
+ */
+export async function getLocalAuth() {
+  const running = readStackStatus();
+  if (running?.JWT_SECRET) {
+    return {
+      secret: running.JWT_SECRET,
+      apiUrl: running.API_URL || DEFAULT_API_URL,
+      anonKey: running.ANON_KEY || signJwt(ANON_KEY_CLAIMS, running.JWT_SECRET),
+    };
+  }
+
+  const config = await readSupabaseConfig();
+  const secret = resolveEnv(config?.auth?.jwt_secret) || DEFAULT_JWT_SECRET;
+  return {
+    secret,
+    apiUrl: config?.api?.port ? `http://127.0.0.1:${config.api.port}` : DEFAULT_API_URL,
+    anonKey: signJwt(ANON_KEY_CLAIMS, secret),
+  };
+}
+
+/**
+ * Sign a payload as an HS256 JWT
+ */
+export function signJwt(payload, secret) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Claims for an access token, shaped like GoTrue's
+ * @param {object} options
+ * @param {object} [options.user] - From findUser(); omit for a role-only token (e.g. service_role)
+ * @param {string} options.role - Postgres role PostgREST switches to
+ * @param {number} options.expiresIn - Lifetime in seconds
+ * @param {string} options.apiUrl
+ */
+export function accessTokenClaims({ user, role, expiresIn, apiUrl }) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + expiresIn;
+
+  if (!user) {
+    return { iss: 'supabase-demo', role, iat, exp };
+  }
+
+  return {
+    iss: `${apiUrl}/auth/v1`,
+    aud: 'authenticated',
+    sub: user.id,
+    email: user.email,
+    phone: user.phone,
+    app_metadata: user.appMetadata,
+    user_metadata: user.userMetadata,
+    role,
+    aal: 'aal1',
+    amr: [{ method: 'password', timestamp: iat }],
+    is_anonymous: false,
+    iat,
+    exp,
+  };
+}
+
+/**
+ * Parse a lifetime like 90, 30s, 15m, 1h or 7d into seconds
+ * @returns {number|null} - null if it can't be parsed
+ */
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+)\s*([smhd]?)$/i);
+  if (!match) {
+    return null;
+  }
+  const unit = { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2].toLowerCase()];
+  return Number(match[1]) * unit;
+}
+
+/**
+ * KEY=value pairs from `supabase status -o env`, or null if the stack isn't up
+ */
+function readStackStatus() {
+  try {
+    const output = execFileSync('supabase', ['status', '-o', 'env'], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 30000,
+    });
+    const values = {};
+    for (const line of output.split('\n')) {
+      const match = line.match(/^([A-Z_]+)="?(.*?)"?$/);
+      if (match) {
+        values[match[1]] = match[2];
+      }
+    }
+    return values;
+  } catch {
+    return null;
+  }
+}
+
+async function readSupabaseConfig() {
+  try {
+    return toml.parse(await fs.readFile('supabase/config.toml', 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * config.toml values may point at an env var: "env(JWT_SECRET)"
+ */
+function resolveEnv(value) {
+  const match = typeof value === 'string' && value.match(/^env\((\w+)\)$/);
+  return match ? process.env[match[1]] : value;
+}
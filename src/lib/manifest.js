@@ -0,0 +1,234 @@
+/**
+ * Snapshot manifests - metadata written alongside each snapshot
+ *
+ * <snapshot>.manifest.json records where a snapshot came from and what it
+ * should contain, so a restore can be checked against it:
+ * - latest applied migration version
+ * - git branch and commit at save time
+ * - schemas and per-table row counts
+ * - SHA-256 and size of the snapshot file (and of its storage archive, if any)
+ * - whether PII masking was applied and whether the file is encrypted
+ * - what its INSERTs do with rows that already exist (onConflict)
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
+import { execSync } from 'child_process';
+import path from 'path';
+import { stripExtension } from './formats.js';
+import { psqlQuery, quoteIdent, quoteLiteral } from './docker.js';
+
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Get the manifest path for a snapshot file
+ */
+export function manifestPathFor(file) {
+  return `${stripExtension(file)}.manifest.json`;
+}
+
+/**
+ * Build a manifest for a freshly written snapshot
+ * @param {object} options
+ * @param {string} options.file - The snapshot file
+ * @param {string} options.format - Format it was saved in
+ * @param {Array<{schema: string, table: string, schemaOnly?: boolean}>} options.tables - Tables captured
+ * @param {string} options.sha256 - Hex digest of the file
+ * @param {Object<string, number>} options.rowCounts - Rows per table in the snapshot, counted in
+ *   the dump's own transaction snapshot (see countTableRows)
+ * @param {{size: number, sha256: string}|null} [options.storage] - The storage archive, if saved
+ * @param {boolean} [options.masked] - Whether masking rules were applied
+ * @param {boolean} [options.encrypted] - Whether the file is encrypted
+ * @param {string} [options.onConflict] - Conflict strategy the INSERTs were written with
+ */
+export async function buildManifest({
+  file,
+  format,
+  tables,
+  sha256,
+  rowCounts,
+  storage = null,
+  masked = false,
+  encrypted = false,
+  onConflict = 'skip',
+}) {
+  const stats = await fs.stat(file);
+
+  return {
+    version: MANIFEST_VERSION,
+    createdAt: new Date().toISOString(),
+    file: path.basename(file),
+    format,
+    size: stats.size,
+    sha256,
+    migration: await getMigrationVersion(),
+    git: getGitInfo(),
+    schemas: [...new Set(tables.map(t => t.schema))].sort(),
+    rowCounts,
+    storage,
+    masked,
+    encrypted,
+    onConflict,
+  };
+}
+
+/**
+ * Write a manifest next to its snapshot
+ */
+export async function writeManifest(file, manifest) {
+  await fs.writeFile(manifestPathFor(file), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Read the manifest for a snapshot file
+ * Returns null if there isn't one, or it belongs to a different variant
+ */
+export async function readManifest(file) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(manifestPathFor(file), 'utf8'));
+    return manifest.file === path.basename(file) ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compute the SHA-256 of a file without loading it into memory
+ */
+export async function hashFile(file) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(file)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Count rows in each table with a single query
+ * @param {Array<{schema: string, table: string}>} tables
+ * @param {(sql: string) => Promise<string[][]>} [query] - Runs the query; pass an exported
+ *   snapshot's query() to count the rows a dump taken with it holds
+ * @returns {Promise<Object<string, number>>} - keyed by schema.table
+ */
+export async function countTableRows(tables, query = psqlQuery) {
+  if (tables.length === 0) {
+    return {};
+  }
+
+  const sql = tables
+    .map(({ schema, table }) =>
+      `SELECT ${quoteLiteral(`${schema}.${table}`)}, count(*) FROM ${quoteIdent(schema)}.${quoteIdent(table)}`
+    )
+    .join(' UNION ALL ');
+
+  const counts = {};
+  for (const [name, count] of await query(sql)) {
+    counts[name] = Number(count);
+  }
+  return counts;
+}
+
+/**
+ * Compare current row counts against a manifest
+ * Returns the tables that have fewer rows than when the snapshot was saved
+ */
+export async function findShortTables(manifest) {
+  const tables = Object.keys(manifest.rowCounts || {}).map(name => {
+    const [schema, ...rest] = name.split('.');
+    return { schema, table: rest.join('.') };
+  });
+
+  let current;
+  try {
+    current = await countTableRows(tables);
+  } catch {
+    // A table from the snapshot no longer exists - count what we can
+    current = {};
+    for (const table of tables) {
+      try {
+        Object.assign(current, await countTableRows([table]));
+      } catch {
+        current[`${table.schema}.${table.table}`] = 0;
+      }
+    }
+  }
+
+  return Object.entries(manifest.rowCounts)
+    .filter(([name, expected]) => (current[name] ?? 0) < expected)
+    .map(([name, expected]) => ({ table: name, expected, actual: current[name] ?? 0 }));
+}
+
+/**
+ * Compare a manifest's migration with the migration files in this checkout
+ * - current:  saved at the latest local migration
+ * - behind:   saved before `pending` local migrations (they apply on top)
+ * - ahead:    saved after a migration this checkout doesn't have yet
+ * - diverged: saved at a migration this checkout never had (another branch)
+ * - unknown:  no manifest, no migration recorded, or no local migrations
+ * @returns {Promise<{status: string, migration: string|null, latest: string|null, pending: number}>}
+ */
+export async function checkMigrationCompatibility(manifest, migrationsDir = 'supabase/migrations') {
+  const migration = manifest?.migration || null;
+
+  let versions = [];
+  try {
+    versions = (await fs.readdir(migrationsDir))
+      .map(file => file.match(/^(\d+)_.*\.sql$/)?.[1])
+      .filter(Boolean)
+      .sort(compareVersions);
+  } catch {
+    // No migrations directory
+  }
+
+  const latest = versions[versions.length - 1] || null;
+  const result = { status: 'unknown', migration, latest, pending: 0 };
+  if (!migration || !latest) {
+    return result;
+  }
+
+  const index = versions.indexOf(migration);
+  if (index === versions.length - 1) {
+    result.status = 'current';
+  } else if (index >= 0) {
+    result.status = 'behind';
+    result.pending = versions.length - 1 - index;
+  } else {
+    result.status = compareVersions(migration, latest) > 0 ? 'ahead' : 'diverged';
+  }
+  return result;
+}
+
+function compareVersions(a, b) {
+  return a.length - b.length || a.localeCompare(b);
+}
+
+/**
+ * Latest migration applied to the local database, or null if unknown
+ */
+async function getMigrationVersion() {
+  try {
+    const rows = await psqlQuery('SELECT max(version) FROM supabase_migrations.schema_migrations');
+    return rows[0]?.[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Current git branch and commit, or nulls outside a git repo
+ */
+function getGitInfo() {
+  const git = (args) => {
+    try {
+      return execSync(`git ${args}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    branch: git('rev-parse --abbrev-ref HEAD'),
+    commit: git('rev-parse HEAD'),
+  };
+}
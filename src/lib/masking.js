@@ -0,0 +1,274 @@
+/**
+ * Data masking - replace PII with fake values on the way out
+ *
+ * Rules live in config.masking.rules, keyed by "table.column" (public schema)
+ * or "schema.table.column":
+ *   "client_profiles.email": "email"
+ *   "payments.card_last4": { "type": "fixed", "value": "4242" }
+ *
+ * Every generator is deterministic: the same input value and config.masking.seed
+ * always give the same output. So a value masked in two places (a primary key
+ * and the foreign keys pointing at it, or an email used as a join key) still
+ * matches, and distinct inputs to email/phone/hash/uuid stay distinct.
+ * NULLs are left as NULL.
+ *
+ * Auth keeps copies of a user's email and phone in JSON: the email and phone
+ * fields of auth.users.raw_user_meta_data and auth.identities.identity_data
+ * (which auth.identities.email is generated from). The auth.users.email and
+ * auth.users.phone rules mask those fields too - deterministically, so they
+ * match the masked columns - unless the JSON column has a rule of its own.
+ *
+ * Used by cloud export (always, when rules exist) and by `snapshot save --mask`.
+ */
+
+import { createHmac } from 'crypto';
+import { insertTransform } from './sql-stream.js';
+
+const DEFAULT_SEED = 'supabase-stateful';
+
+// JSON columns holding copies of auth.users' email and phone
+const AUTH_COPIES = new Map([
+  ['auth.users', 'raw_user_meta_data'],
+  ['auth.identities', 'identity_data'],
+]);
+const AUTH_COPIED_FIELDS = ['email', 'phone'];
+
+const FIRST_NAMES = [
+  'Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie',
+  'Avery', 'Quinn', 'Robin', 'Charlie', 'Drew', 'Skyler', 'Emerson', 'Rowan',
+];
+
+const LAST_NAMES = [
+  'Smith', 'Jones', 'Taylor', 'Brown', 'Williams', 'Wilson', 'Johnson', 'Davies',
+  'Patel', 'Wright', 'Walker', 'Evans', 'Thomas', 'Roberts', 'Green', 'Hall',
+];
+
+const WORDS = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit',
+  'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'magna',
+];
+
+/**
+ * Generators: (digest, value, rule) => masked value
+ * digest is the HMAC of the original value, so output depends only on value + seed
+ */
+export const MASKERS = {
+  email: (d, value, rule) => {
+    const [first, last] = [pick(FIRST_NAMES, d, 0), pick(LAST_NAMES, d, 2)];
+    return `${first}.${last}.${d.toString('hex', 4, 9)}@${rule.domain || 'example.com'}`.toLowerCase();
+  },
+  name: d => `${pick(FIRST_NAMES, d, 0)} ${pick(LAST_NAMES, d, 2)}`,
+  first_name: d => pick(FIRST_NAMES, d, 0),
+  last_name: d => pick(LAST_NAMES, d, 2),
+  // +1555 and 11 digest digits - the full 15 E.164 allows, so numbers don't collide
+  phone: d => `+1555${String(d.readUIntBE(4, 6) % 1e11).padStart(11, '0')}`,
+  hash: d => d.toString('hex'),
+  uuid: d => {
+    const hex = d.toString('hex', 0, 16).split('');
+    hex[12] = '4';
+    hex[16] = '89ab'[parseInt(hex[16], 16) % 4];
+    const s = hex.join('');
+    return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+  },
+  text: (d, value) => {
+    const count = Math.min(Math.max(String(value).split(/\s+/).length, 1), 24);
+    return Array.from({ length: count }, (_, i) => WORDS[d[i % d.length] % WORDS.length]).join(' ');
+  },
+  null: () => null,
+  fixed: (d, value, rule) => rule.value ?? null,
+};
+
+/**
+ * Build a masker from config.masking
+ * Throws on unknown rule types so a typo never silently leaks data
+ */
+export function createMasker(config) {
+  const { rules = {}, seed = DEFAULT_SEED } = config.masking || {};
+  const tables = new Map();  // schema.table -> Map(column -> rule)
+
+  for (const [key, value] of Object.entries(rules)) {
+    const parts = key.split('.');
+    if (parts.length < 2 || parts.length > 3) {
+      throw new Error(`Masking rule "${key}" must be "table.column" or "schema.table.column"`);
+    }
+    const column = parts.pop();
+    const table = parts.length === 1 ? `public.${parts[0]}` : parts.join('.');
+
+    const rule = typeof value === 'string' ? { type: value } : { ...value };
+    if (!MASKERS[rule.type]) {
+      throw new Error(`Unknown masking type "${rule.type}" for ${key} (expected: ${Object.keys(MASKERS).join(', ')})`);
+    }
+
+    if (!tables.has(table)) tables.set(table, new Map());
+    tables.get(table).set(column, rule);
+  }
+
+  function mask(rule, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    // JSON columns arrive as objects in cloud rows
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const digest = createHmac('sha256', seed).update(text).digest();
+    return MASKERS[rule.type](digest, value, rule);
+  }
+
+  /**
+   * Mask the copies of the user's email and phone in an auth JSON document
+   */
+  function maskCopies(document) {
+    const userRules = tables.get('auth.users');
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      return document;
+    }
+    const masked = { ...document };
+    for (const field of AUTH_COPIED_FIELDS) {
+      if (userRules.has(field) && typeof masked[field] === 'string') {
+        masked[field] = mask(userRules.get(field), masked[field]);
+      }
+    }
+    return masked;
+  }
+
+  /**
+   * The JSON column of a table whose copies need masking, if it has no rule of its own
+   */
+  function copiesColumn(table, columns) {
+    const column = AUTH_COPIES.get(table);
+    const copied = AUTH_COPIED_FIELDS.some(field => tables.get('auth.users')?.has(field));
+    return column && copied && !columns?.has(column) ? column : null;
+  }
+
+  return {
+    isEmpty: tables.size === 0,
+
+    /**
+     * Mask a row object (cloud export)
+     * @param {string} table - schema.table, or a bare public table name
+     */
+    maskRow(table, row) {
+      const name = table.includes('.') ? table : `public.${table}`;
+      const columns = tables.get(name);
+      const copies = copiesColumn(name, columns);
+      if (!columns && !copies) {
+        return row;
+      }
+      const masked = { ...row };
+      for (const [column, rule] of columns || []) {
+        if (column in masked) {
+          masked[column] = mask(rule, masked[column]);
+        }
+      }
+      if (copies && copies in masked) {
+        masked[copies] = maskCopies(masked[copies]);
+      }
+      return masked;
+    },
+
+    /**
+     * Whether a rule masks a column
+     * @param {string} table - schema.table, or a bare public table name
+     */
+    masks(table, column) {
+      return tables.get(table.includes('.') ? table : `public.${table}`)?.has(column) || false;
+    },
+
+    /**
+     * Mask one pg_dump --column-inserts statement
+     * INSERT INTO schema.table (col, ...) VALUES (literal, ...);
+     */
+    maskInsert(statement) {
+      const head = statement.match(/^INSERT INTO (\S+) \(([^)]*)\) VALUES \(/);
+      if (!head) {
+        return statement;
+      }
+      const table = normalizeTable(head[1]);
+      const columns = tables.get(table);
+      const copies = copiesColumn(table, columns);
+      if (!columns && !copies) {
+        return statement;
+      }
+
+      const names = splitList(head[2], '"').map(unquoteIdent);
+      const values = splitList(statement.slice(head[0].length, statement.lastIndexOf(')')), "'");
+      for (const [index, name] of names.entries()) {
+        if (index >= values.length) break;
+        const rule = columns?.get(name);
+        if (rule) {
+          values[index] = toLiteral(mask(rule, fromLiteral(values[index])));
+        } else if (name === copies) {
+          values[index] = maskJsonLiteral(values[index], maskCopies);
+        }
+      }
+
+      return `${head[0]}${values.join(', ')});`;
+    },
+  };
+}
+
+/**
+ * Transform stream that masks every INSERT in a pg_dump --column-inserts stream
+ */
+export function maskTransform(masker) {
+  return insertTransform(statement => masker.maskInsert(statement));
+}
+
+/**
+ * Split a comma-separated SQL list, ignoring separators inside quotes
+ * Quotes are escaped by doubling, which toggling on each quote handles
+ */
+function splitList(text, quote, separator = ',') {
+  const items = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === quote) {
+      quoted = !quoted;
+    }
+    if (char === separator && !quoted) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current.trim());
+  return items;
+}
+
+function fromLiteral(literal) {
+  if (literal === 'NULL') return null;
+  if (literal.startsWith("'")) return literal.slice(1, literal.lastIndexOf("'")).replace(/''/g, "'");
+  return literal;  // number or boolean
+}
+
+/**
+ * Rewrite a JSON literal ('{"email": ...}') through fn, leaving anything that isn't JSON alone
+ */
+function maskJsonLiteral(literal, fn) {
+  const text = fromLiteral(literal);
+  if (text === null) return literal;
+  try {
+    return toLiteral(JSON.stringify(fn(JSON.parse(text))));
+  } catch {
+    return literal;
+  }
+}
+
+function toLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+function normalizeTable(qualified) {
+  return splitList(qualified, '"', '.').map(unquoteIdent).join('.');
+}
+
+function unquoteIdent(ident) {
+  return ident.startsWith('"') ? ident.slice(1, -1).replace(/""/g, '"') : ident;
+}
+
+function pick(list, digest, offset) {
+  return list[digest.readUInt16BE(offset) % list.length];
+}
@@ -0,0 +1,535 @@
+/**
+ * Remote snapshot stores - share named snapshots with the team
+ *
+ * config.remote picks the store:
+ *   { "type": "fs", "path": "/Volumes/team/supabase-snapshots" }
+ *   { "type": "s3", "bucket": "dev-snapshots", "prefix": "myapp/", "region": "eu-west-2" }
+ *   { "type": "s3", "bucket": "snapshots", "endpoint": "http://localhost:9000" }  (MinIO etc.)
+ *
+ * A pushed snapshot is laid out like the local snapshot directory:
+ *   <name>.sql (or .sql.gz / .dump), <name>.manifest.json, <name>.storage.tar.gz
+ * The manifest is uploaded last and removed first, so a snapshot that's
+ * mid-push never looks complete to someone pulling it.
+ *
+ * S3 credentials come from AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY (plus
+ * AWS_SESSION_TOKEN if set). Requests are signed with SigV4 directly, so no
+ * SDK is needed; an endpoint switches to path-style URLs.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import http from 'http';
+import https from 'https';
+import { createReadStream, createWriteStream } from 'fs';
+import { createHash, createHmac } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { getSnapshotPath } from './snapshots.js';
+import { FORMATS, findSnapshotFile, variantsOf, removeOtherVariants } from './formats.js';
+import { readManifest, writeManifest, manifestPathFor, hashFile } from './manifest.js';
+import { storageArchivePathFor } from './storage.js';
+
+const MANIFEST_SUFFIX = '.manifest.json';
+const STORAGE_SUFFIX = '.storage.tar.gz';
+
+/**
+ * Create the store configured in config.remote
+ * Every store has the same interface:
+ *   describe           - where it points, for messages
+ *   list(prefix)       - [{ key, size }] for keys starting with prefix
+ *   read(key)          - Buffer, or null if the key doesn't exist
+ *   write(key, data)   - store a Buffer
+ *   upload(file, key)  - store a local file
+ *   download(key, file) - fetch into a local file, false if the key doesn't exist
+ *   remove(key)
+ * @returns {object|null} - null if no remote is configured
+ */
+export function createRemote(config) {
+  const options = config.remote;
+  if (!options) {
+    return null;
+  }
+
+  switch (options.type) {
+    case 'fs':
+      return createFsRemote(options);
+    case 's3':
+      return createS3Remote(options);
+    default:
+      throw new Error(`Unknown remote type "${options.type}" (expected: fs, s3)`);
+  }
+}
+
+/**
+ * List the snapshots on a remote, alphabetically
+ * @returns {Promise<Array<{name: string, format: string, size: number, manifest: object|null}>>}
+ */
+export async function listRemoteSnapshots(remote) {
+  const objects = await remote.list('');
+  const snapshots = [];
+
+  for (const { key, size } of objects) {
+    const format = formatOfKey(key);
+    if (!format) continue;
+    const name = key.slice(0, -FORMATS[format].extension.length);
+    snapshots.push({ name, format, size, manifest: await readRemoteManifest(remote, name) });
+  }
+
+  return snapshots.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a snapshot on a remote
+ * @returns {Promise<{key: string, format: string, size: number}|null>}
+ */
+export async function findRemoteSnapshot(remote, name) {
+  for (const { key, size } of await remote.list(`${name}.`)) {
+    const format = formatOfKey(key);
+    if (format && key === `${name}${FORMATS[format].extension}`) {
+      return { key, format, size };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a remote snapshot's manifest, or null if it has none
+ */
+export async function readRemoteManifest(remote, name) {
+  const data = await remote.read(`${name}${MANIFEST_SUFFIX}`);
+  if (!data) {
+    return null;
+  }
+  try {
+    return JSON.parse(data.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Upload a local snapshot (with its manifest and storage archive)
+ * @param {object} remote - From createRemote()
+ * @param {string} name - Local snapshot name
+ * @param {string} [remoteName] - Name on the remote (defaults to the local name)
+ * @returns {Promise<{file: string, manifest: object|null}>}
+ */
+export async function pushSnapshot(remote, name, remoteName = name) {
+  const file = await findSnapshotFile(await getSnapshotPath(name));
+  if (!file) {
+    throw new Error(`Snapshot "${name}" not found`);
+  }
+
+  const format = Object.keys(FORMATS).find(f => variantsOf(file)[f] === file);
+  const key = `${remoteName}${FORMATS[format].extension}`;
+  const manifest = await readManifest(file);
+
+  await remote.remove(`${remoteName}${MANIFEST_SUFFIX}`);
+  await remote.upload(file, key);
+
+  for (const other of Object.values(FORMATS)) {
+    if (`${remoteName}${other.extension}` !== key) {
+      await remote.remove(`${remoteName}${other.extension}`);
+    }
+  }
+
+  const archive = storageArchivePathFor(file);
+  try {
+    await fs.access(archive);
+    await remote.upload(archive, `${remoteName}${STORAGE_SUFFIX}`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    await remote.remove(`${remoteName}${STORAGE_SUFFIX}`);
+  }
+
+  if (manifest) {
+    const remoteManifest = { ...manifest, file: key };
+    await remote.write(`${remoteName}${MANIFEST_SUFFIX}`, Buffer.from(JSON.stringify(remoteManifest, null, 2) + '\n'));
+  }
+
+  return { file, manifest };
+}
+
+/**
+ * Download a remote snapshot into a local snapshot
+ * Files are fetched next to their destination and only moved into place once
+ * they match the manifest's checksums, so a failed pull never clobbers anything.
+ * A snapshot without a manifest is refused unless unverified is set: there's
+ * nothing to check it against, and a push in progress removes the manifest first.
+ * @param {object} remote - From createRemote()
+ * @param {string} remoteName - Name on the remote
+ * @param {string} name - Local snapshot name to save it as
+ * @param {object} [options]
+ * @param {boolean} [options.unverified] - Pull a snapshot that has no manifest
+ * @returns {Promise<{file: string, manifest: object|null}>}
+ */
+export async function pullSnapshot(remote, remoteName, name, { unverified = false } = {}) {
+  const found = await findRemoteSnapshot(remote, remoteName);
+  if (!found) {
+    throw new Error(`Snapshot "${remoteName}" not found on ${remote.describe}`);
+  }
+
+  const manifest = await readRemoteManifest(remote, remoteName);
+  if (!manifest && !unverified) {
+    throw new Error(`Snapshot "${remoteName}" has no manifest on ${remote.describe} - it may be mid-push, and the download can't be checked`);
+  }
+
+  const file = variantsOf(await getSnapshotPath(name))[found.format];
+  const archive = storageArchivePathFor(file);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  const partialFile = `${file}.partial`;
+  const partialArchive = `${archive}.partial`;
+  try {
+    await remote.download(found.key, partialFile);
+    await verifyDownload(partialFile, manifest, `Snapshot "${remoteName}"`);
+
+    const hasArchive = await remote.download(`${remoteName}${STORAGE_SUFFIX}`, partialArchive);
+    if (hasArchive) {
+      await verifyDownload(partialArchive, manifest?.storage, `Storage archive for "${remoteName}"`);
+    } else if (manifest?.storage) {
+      throw new Error(`Storage archive for "${remoteName}" is missing from ${remote.describe}`);
+    }
+
+    await fs.rename(partialFile, file);
+    if (hasArchive) {
+      await fs.rename(partialArchive, archive);
+    } else {
+      await fs.rm(archive, { force: true });
+    }
+  } catch (err) {
+    await fs.rm(partialFile, { force: true });
+    await fs.rm(partialArchive, { force: true });
+    throw err;
+  }
+
+  await removeOtherVariants(file);
+  if (manifest) {
+    await writeManifest(file, { ...manifest, file: path.basename(file) });
+  } else {
+    await fs.rm(manifestPathFor(file), { force: true });
+  }
+
+  return { file, manifest };
+}
+
+/**
+ * Check a downloaded file against the sha256 recorded for it
+ */
+async function verifyDownload(file, expected, label) {
+  if (!expected?.sha256) {
+    return;
+  }
+  if (await hashFile(file) !== expected.sha256) {
+    throw new Error(`${label} doesn't match its manifest checksum - the download is corrupt or the snapshot is mid-push`);
+  }
+}
+
+/**
+ * Get the snapshot format a remote key is stored in, if it's a snapshot file
+ * (longest extension first, so .sql.gz isn't mistaken for .sql)
+ */
+function formatOfKey(key) {
+  return ['gzip', 'custom', 'sql'].find(format => key.endsWith(FORMATS[format].extension)) || null;
+}
+
+/**
+ * Store backed by a directory (a network share, Dropbox folder, etc.)
+ */
+function createFsRemote(options) {
+  if (!options.path) {
+    throw new Error('remote.path is required for an fs remote');
+  }
+  const root = path.resolve(options.path.replace(/^~(?=$|\/)/, os.homedir()));
+  const pathOf = key => path.join(root, key);
+
+  // Write next to the target and rename, so readers never see half a file
+  async function put(key, write) {
+    await fs.mkdir(root, { recursive: true });
+    const partial = `${pathOf(key)}.partial`;
+    try {
+      await write(partial);
+      await fs.rename(partial, pathOf(key));
+    } catch (err) {
+      await fs.rm(partial, { force: true });
+      throw err;
+    }
+  }
+
+  return {
+    describe: root,
+
+    async list(prefix) {
+      let entries;
+      try {
+        entries = await fs.readdir(root);
+      } catch {
+        return [];
+      }
+      const objects = [];
+      for (const key of entries.filter(entry => entry.startsWith(prefix) && !entry.endsWith('.partial'))) {
+        const stats = await fs.stat(pathOf(key));
+        if (stats.isFile()) {
+          objects.push({ key, size: stats.size });
+        }
+      }
+      return objects;
+    },
+
+    async read(key) {
+      try {
+        return await fs.readFile(pathOf(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    write: (key, data) => put(key, partial => fs.writeFile(partial, data)),
+
+    upload: (file, key) => put(key, partial => fs.copyFile(file, partial)),
+
+    async download(key, file) {
+      try {
+        await fs.copyFile(pathOf(key), file);
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    remove: key => fs.rm(pathOf(key), { force: true }),
+  };
+}
+
+/**
+ * Store backed by an S3-compatible bucket
+ */
+function createS3Remote(options) {
+  const { bucket, endpoint } = options;
+  const prefix = options.prefix ? `${options.prefix.replace(/\/+$/, '')}/` : '';
+  const region = options.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+  const credentials = {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.AWS_SESSION_TOKEN,
+  };
+
+  if (!bucket) {
+    throw new Error('remote.bucket is required for an s3 remote');
+  }
+  if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error('Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY to use the s3 remote');
+  }
+
+  // Path-style for custom endpoints (MinIO etc.), virtual-hosted for AWS
+  const base = endpoint
+    ? new URL(`${endpoint.replace(/\/+$/, '')}/${bucket}/`)
+    : new URL(`https://${bucket}.s3.${region}.amazonaws.com/`);
+  const objectPath = key => base.pathname + encodePath(prefix + key);
+
+  function request(method, requestPath, { query = {}, body = null, length } = {}) {
+    const headers = {
+      host: base.host,
+      'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+      'x-amz-date': new Date().toISOString().replace(/[-:]|\.\d{3}/g, ''),
+    };
+    if (credentials.sessionToken) {
+      headers['x-amz-security-token'] = credentials.sessionToken;
+    }
+    headers.authorization = signRequest({ method, path: requestPath, query, headers, region, credentials });
+    if (length !== undefined) {
+      headers['content-length'] = length;
+    }
+
+    const search = canonicalQuery(query);
+    return new Promise((resolve, reject) => {
+      const req = (base.protocol === 'https:' ? https : http).request({
+        protocol: base.protocol,
+        hostname: base.hostname,
+        port: base.port,
+        path: requestPath + (search ? `?${search}` : ''),
+        method,
+        headers,
+      }, resolve);
+      req.on('error', reject);
+      if (body?.pipe) {
+        pipeline(body, req).catch(reject);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  // Turn an error response into an Error with S3's code and message
+  async function fail(response, action) {
+    let text = '';
+    for await (const chunk of response) {
+      text += chunk;
+    }
+    const code = text.match(/<Code>([^<]*)<\/Code>/)?.[1];
+    const message = text.match(/<Message>([^<]*)<\/Message>/)?.[1];
+    const detail = code ? `${code}${message ? ` - ${decodeXml(message)}` : ''}` : `HTTP ${response.statusCode}`;
+    return new Error(`S3 ${action} failed: ${detail}`);
+  }
+
+  async function put(key, body, length) {
+    const response = await request('PUT', objectPath(key), { body, length });
+    if (response.statusCode !== 200) {
+      throw await fail(response, `upload of ${prefix}${key}`);
+    }
+    response.resume();
+  }
+
+  return {
+    describe: `s3://${bucket}/${prefix}`,
+
+    async list(keyPrefix) {
+      const objects = [];
+      let token;
+      do {
+        const query = { 'list-type': '2', prefix: prefix + keyPrefix };
+        if (token) query['continuation-token'] = token;
+
+        const response = await request('GET', base.pathname, { query });
+        if (response.statusCode !== 200) {
+          throw await fail(response, `listing of s3://${bucket}/${prefix}`);
+        }
+        let xml = '';
+        for await (const chunk of response) {
+          xml += chunk;
+        }
+
+        for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const key = decodeXml(contents.match(/<Key>([^<]*)<\/Key>/)[1]).slice(prefix.length);
+          // Flat layout - skip anything in "subdirectories" under the prefix
+          if (!key.includes('/')) {
+            objects.push({ key, size: Number(contents.match(/<Size>(\d+)<\/Size>/)?.[1] || 0) });
+          }
+        }
+        token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+          ? decodeXml(xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/)?.[1] || '')
+          : null;
+      } while (token);
+      return objects;
+    },
+
+    async read(key) {
+      const response = await request('GET', objectPath(key));
+      if (response.statusCode === 404) {
+        response.resume();
+        return null;
+      }
+      if (response.statusCode !== 200) {
+        throw await fail(response, `download of ${prefix}${key}`);
+      }
+      const chunks = [];
+      for await (const chunk of response) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+
+    write: (key, data) => put(key, data, data.length),
+
+    async upload(file, key) {
+      const { size } = await fs.stat(file);
+      await put(key, createReadStream(file), size);
+    },
+
+    async download(key, file) {
+      const response = await request('GET', objectPath(key));
+      if (response.statusCode === 404) {
+        response.resume();
+        return false;
+      }
+      if (response.statusCode !== 200) {
+        throw await fail(response, `download of ${prefix}${key}`);
+      }
+      await pipeline(response, createWriteStream(file));
+      return true;
+    },
+
+    async remove(key) {
+      const response = await request('DELETE', objectPath(key));
+      response.resume();
+      // Deleting a key that doesn't exist succeeds (204) on S3; some stores say 404
+      if (response.statusCode !== 204 && response.statusCode !== 200 && response.statusCode !== 404) {
+        throw new Error(`S3 delete of ${prefix}${key} failed: HTTP ${response.statusCode}`);
+      }
+    },
+  };
+}
+
+/**
+ * Build a SigV4 Authorization header for an S3 request
+ * Every header passed in is signed; the payload hash comes from x-amz-content-sha256
+ */
+function signRequest({ method, path: requestPath, query, headers, region, credentials }) {
+  const amzDate = headers['x-amz-date'];
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = names.map(name => `${name}:${String(lowered[name]).trim()}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    requestPath,
+    canonicalQuery(query),
+    canonicalHeaders,
+    signedHeaders,
+    lowered['x-amz-content-sha256'],
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+
+  const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+  let signingKey = `AWS4${credentials.secretAccessKey}`;
+  for (const part of scope.split('/')) {
+    signingKey = hmac(signingKey, part);
+  }
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+/**
+ * Sorted, strictly encoded query string (the form SigV4 signs)
+ */
+function canonicalQuery(query) {
+  return Object.keys(query)
+    .sort()
+    .map(name => `${encodeStrict(name)}=${encodeStrict(query[name])}`)
+    .join('&');
+}
+
+/**
+ * Encode an object key for a URL path, keeping the slashes
+ */
+function encodePath(key) {
+  return key.split('/').map(encodeStrict).join('/');
+}
+
+/**
+ * RFC 3986 encoding - encodeURIComponent leaves !'()* alone, SigV4 doesn't
+ */
+function encodeStrict(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
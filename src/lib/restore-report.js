@@ -0,0 +1,242 @@
+/**
+ * Restore error reporting
+ *
+ * Parses psql / pg_restore stderr while a snapshot is being restored and
+ * groups errors per table, so "restored" only means restored:
+ * - duplicate: rows/objects that already exist (expected, harmless)
+ * - type: value doesn't fit the current column type
+ * - column: snapshot has a column the table no longer has
+ * - table: snapshot has a table the database no longer has
+ * - other: anything else
+ *
+ * Non-duplicate errors on data statements (INSERT / COPY) mean rows were lost,
+ * and so do duplicates when the snapshot was meant to win (config.onConflict).
+ */
+
+import { log } from '../utils/log.js';
+
+export const ERROR_CATEGORIES = {
+  duplicate: 'Duplicate',
+  type: 'Type mismatch',
+  column: 'Missing column',
+  table: 'Missing table',
+  other: 'Other',
+};
+
+const UNKNOWN_TABLE = '(unknown)';
+
+// Prefix of the WARNING raised for rows a drift restore couldn't copy:
+// "supabase-stateful skipped <n> row(s) of <schema.table>: <error>"
+export const SKIPPED_MARKER = 'supabase-stateful skipped';
+
+/**
+ * Classify a Postgres error message into one of ERROR_CATEGORIES
+ */
+export function classifyError(message) {
+  if (/duplicate key value|already exists|multiple primary keys/i.test(message)) {
+    return 'duplicate';
+  }
+  if (/column "[^"]+" of relation "[^"]+" does not exist|has more expressions than target columns/i.test(message)) {
+    return 'column';
+  }
+  if (/relation "[^"]+" does not exist/i.test(message)) {
+    return 'table';
+  }
+  if (/invalid input (syntax|value) for|is of type .* but expression is of type|value too long for type|out of range for type|cannot cast type/i.test(message)) {
+    return 'type';
+  }
+  return 'other';
+}
+
+/**
+ * Create a report that collects errors from restore stderr
+ * Feed it lines with addLine(); it only keeps counts and one example per
+ * table/category, so memory stays flat even if every row fails
+ * @param {object} [options]
+ * @param {boolean} [options.duplicatesAreLoss] - Count duplicate rows as lost data
+ */
+export function createRestoreReport({ duplicatesAreLoss = false } = {}) {
+  const tables = new Map();
+  let pending = null;     // Error waiting for its failed statement to be echoed
+  let tocTable = null;    // pg_restore names the TOC entry before its error
+
+  function record(table, message, kind, count = 1) {
+    const category = classifyError(message);
+    const entry = tables.get(table) || { counts: {}, examples: {}, dataLoss: false, duplicatesLost: false };
+
+    entry.counts[category] = (entry.counts[category] || 0) + count;
+    entry.examples[category] = entry.examples[category] || message;
+    // Unattributed errors count as loss - better a false alarm than a silent gap
+    if ((category !== 'duplicate' || duplicatesAreLoss) && kind !== 'schema') {
+      entry.dataLoss = true;
+      if (category === 'duplicate' && !entry.duplicatesLost) {
+        // Show a lost row, not an "already exists" from the schema
+        entry.duplicatesLost = true;
+        entry.examples.duplicate = message;
+      }
+    }
+
+    tables.set(table, entry);
+  }
+
+  function finish() {
+    if (!pending) return;
+    const table = pending.table || tableFromMessage(pending.message) || UNKNOWN_TABLE;
+    record(table, pending.message, pending.kind);
+    pending = null;
+  }
+
+  return {
+    /**
+     * Consume one line of psql or pg_restore stderr
+     */
+    addLine(line) {
+      const psqlError = line.match(/^psql:[^:]*:\d+: (?:ERROR|FATAL):\s+(.*)$/);
+      const restoreError = line.match(/^pg_restore: error: .*?(?:ERROR|FATAL):\s+(.*)$/);
+
+      if (psqlError || restoreError) {
+        finish();
+        pending = { message: (psqlError || restoreError)[1], table: null, kind: null };
+        if (restoreError && tocTable) {
+          Object.assign(pending, tocTable);
+        }
+        return;
+      }
+
+      const skipped = line.match(new RegExp(`WARNING:\\s+${SKIPPED_MARKER} (\\d+) row\\(s\\) of (\\S+): (.*)$`));
+      if (skipped) {
+        finish();
+        record(skipped[2], skipped[3], 'data', Number(skipped[1]));
+        return;
+      }
+
+      const toc = line.match(/^pg_restore: from TOC entry \d+; \d+ \d+ (TABLE DATA|\S+(?: \S+)*?) (\S+) (\S+) \S+$/);
+      if (toc) {
+        finish();
+        tocTable = {
+          table: `${toc[2]}.${toc[3]}`,
+          kind: toc[1] === 'TABLE DATA' ? 'data' : 'schema',
+        };
+        return;
+      }
+
+      // psql -b echoes the failed statement, prefixed on recent versions
+      const echoed = line.match(/^psql:[^:]*:\d+: STATEMENT:\s+(.*)$/);
+      if (echoed) {
+        if (pending && !pending.kind) {
+          Object.assign(pending, parseStatement(echoed[1]) || {});
+        }
+        return;
+      }
+
+      if (/^psql:[^:]*:\d+: /.test(line) || line.startsWith('pg_restore: ')) {
+        // Notices, warnings and pg_restore progress end the current error
+        finish();
+        return;
+      }
+
+      if (pending && !pending.kind) {
+        const statement = parseStatement(line.replace(/^Command was: /, ''));
+        if (statement) {
+          Object.assign(pending, statement);
+        }
+      }
+    },
+
+    /**
+     * Flush the last error and return the per-table results
+     * @returns {Array<{table: string, counts: object, examples: object, dataLoss: boolean}>}
+     */
+    summarize() {
+      finish();
+      return [...tables.entries()]
+        .map(([table, entry]) => ({ table, ...entry }))
+        .sort((a, b) => a.table.localeCompare(b.table));
+    },
+  };
+}
+
+/**
+ * Print the per-table summary of a restore
+ * @param {Array} tables - From report.summarize()
+ * @param {Array} shortTables - Tables with fewer rows than the manifest recorded
+ */
+export function printRestoreSummary(tables, shortTables = []) {
+  const short = new Map(shortTables.map(t => [t.table, t]));
+  const names = [...new Set([...tables.map(t => t.table), ...short.keys()])].sort();
+
+  // Only duplicates (or nothing) - expected when restoring over migrations,
+  // unless the snapshot was saved to overwrite or fail on existing rows
+  const problems = tables.some(t => t.dataLoss || Object.keys(t.counts).some(c => c !== 'duplicate'));
+  if (!problems && short.size === 0) {
+    const skipped = tables.reduce((sum, t) => sum + (t.counts.duplicate || 0), 0);
+    if (skipped > 0) {
+      log.dim(`Skipped ${skipped} object(s) that already existed`);
+    }
+    return;
+  }
+
+  const categories = Object.keys(ERROR_CATEGORIES);
+  const width = Math.max(24, ...names.map(n => n.length));
+  const header = ['Table'.padEnd(width), ...categories.map(c => ERROR_CATEGORIES[c]), 'Rows'];
+
+  console.log('');
+  console.log('Restore summary:');
+  console.log(`  ${header.join('  ')}`);
+
+  for (const name of names) {
+    const entry = tables.find(t => t.table === name) || { counts: {} };
+    const rows = short.has(name) ? `${short.get(name).actual}/${short.get(name).expected}` : 'ok';
+    const cells = categories.map(c => String(entry.counts[c] || 0).padStart(ERROR_CATEGORIES[c].length));
+    console.log(`  ${[name.padEnd(width), ...cells, rows].join('  ')}`);
+  }
+
+  // One example message per real problem, so it's clear what to fix
+  for (const entry of tables) {
+    for (const category of categories) {
+      if ((category === 'duplicate' && !entry.duplicatesLost) || !entry.examples[category]) continue;
+      log.dim(`  ${entry.table}: ${entry.examples[category]}`);
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Check whether a restore lost data
+ */
+export function hasDataLoss(tables, shortTables = []) {
+  return shortTables.length > 0 || tables.some(t => t.dataLoss);
+}
+
+/**
+ * Work out the table and kind of statement from an echoed SQL line
+ */
+function parseStatement(line) {
+  const data = line.match(/^(?:INSERT INTO|COPY) (\S+)/);
+  if (data) {
+    return { table: unquote(data[1]), kind: 'data' };
+  }
+
+  const schema = line.match(/^(?:CREATE|ALTER) (?:UNLOGGED )?(?:TABLE|SEQUENCE|INDEX|UNIQUE INDEX|VIEW)(?: ONLY| IF NOT EXISTS)? (\S+)/);
+  if (schema) {
+    return { table: unquote(schema[1]), kind: 'schema' };
+  }
+
+  if (/^(?:CREATE|ALTER|COMMENT|GRANT|REVOKE|SELECT|SET|DO) /.test(line)) {
+    return { table: null, kind: 'schema' };
+  }
+
+  return null;
+}
+
+/**
+ * Pull a table name out of an error message, e.g. relation "public.foo"
+ */
+function tableFromMessage(message) {
+  const match = message.match(/relation "([^"]+)"/);
+  return match ? match[1] : null;
+}
+
+function unquote(name) {
+  return name.replace(/"/g, '').replace(/\($/, '');
+}
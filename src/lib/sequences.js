@@ -0,0 +1,73 @@
+/**
+ * Sequence repair after a restore
+ *
+ * Restored rows carry their own ids, but the serial/identity sequences that
+ * hand out new ones don't always follow: rows merged into a database whose
+ * sequence was reset, or a table restored without its setval(), leave the
+ * sequence behind max(id) and the app's next INSERT hits a duplicate key.
+ * After every restore each sequence owned by a captured table is moved past
+ * the highest value in its column (sequences that are already ahead, e.g.
+ * from the snapshot's own setval(), are left alone).
+ */
+
+import { psqlQuery, quoteIdent, quoteLiteral } from './docker.js';
+import { discoverTables } from './tables.js';
+
+/**
+ * Advance sequences that are behind their column's max value
+ * @param {object} config - From getConfig()
+ * @returns {Promise<Array<{sequence: string, table: string, column: string, from: number, to: number}>>}
+ *   the sequences that were adjusted
+ */
+export async function syncSequences(config) {
+  const tables = await discoverTables(config);
+  const captured = new Set(tables.map(t => `${t.schema}.${t.table}`));
+  const schemas = [...new Set(tables.map(t => t.schema))];
+  if (schemas.length === 0) {
+    return [];
+  }
+
+  // serial and identity columns, with the sequence behind each
+  const owned = (await psqlQuery(`
+    SELECT n.nspname, c.relname, a.attname,
+      pg_get_serial_sequence(quote_ident(n.nspname) || '.' || quote_ident(c.relname), a.attname)
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname IN (${schemas.map(quoteLiteral).join(', ')})
+      AND c.relkind IN ('r', 'p')
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+    ORDER BY 1, 2, a.attnum;
+  `))
+    .filter(([schema, table, , sequence]) => sequence && captured.has(`${schema}.${table}`))
+    .map(([schema, table, column, sequence]) => ({ schema, table, column, sequence }));
+
+  if (owned.length === 0) {
+    return [];
+  }
+
+  const rows = await psqlQuery(owned
+    .map(({ schema, table, column, sequence }, index) =>
+      // Until the first nextval(), last_value hasn't been handed out yet
+      `SELECT ${index}, (SELECT max(${quoteIdent(column)})::bigint FROM ${quoteIdent(schema)}.${quoteIdent(table)}), ` +
+      `CASE WHEN is_called THEN last_value ELSE last_value - 1 END FROM ${sequence}`
+    )
+    .join(' UNION ALL '));
+
+  const adjusted = [];
+  const setvals = [];
+  for (const [index, max, lastUsed] of rows) {
+    if (max === '' || BigInt(lastUsed) >= BigInt(max)) continue;  // Empty table, or already ahead
+
+    const { schema, table, column, sequence } = owned[Number(index)];
+    adjusted.push({ sequence, table: `${schema}.${table}`, column, from: Number(lastUsed), to: Number(max) });
+    setvals.push(`setval(${quoteLiteral(sequence)}, ${BigInt(max)}, true)`);
+  }
+
+  if (setvals.length > 0) {
+    await psqlQuery(`SELECT ${setvals.join(', ')};`);
+  }
+
+  return adjusted;
+}
@@ -0,0 +1,154 @@
+/**
+ * Named snapshots - multiple saved database states side by side
+ *
+ * The default snapshot is config.stateFile (what stop/start use).
+ * Named snapshots live in config.snapshotDir as <name>.sql (or .sql.gz /
+ * .dump depending on config.format) and are created/restored with the same
+ * saveState()/restoreState() logic.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { getConfig } from './config.js';
+import { formatBytes } from './state.js';
+import { FORMATS, stripExtension, findSnapshotFile, variantsOf, detectFormat, openSnapshot } from './formats.js';
+import { readManifest, manifestPathFor } from './manifest.js';
+import { storageArchivePathFor } from './storage.js';
+import { isEncrypted } from './encryption.js';
+import { insertTransform } from './sql-stream.js';
+
+export const DEFAULT_SNAPSHOT = 'default';
+
+// Keep names filesystem-safe and free of path separators
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Check a snapshot name is usable as a file name
+ */
+export function isValidSnapshotName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+/**
+ * Resolve the file path for a snapshot name
+ * "default" maps to config.stateFile so stop/start and snapshots share it
+ * The extension on disk may differ - see findSnapshotFile()
+ */
+export async function getSnapshotPath(name) {
+  const config = await getConfig();
+  if (name === DEFAULT_SNAPSHOT) {
+    return config.stateFile;
+  }
+  return path.join(config.snapshotDir, `${name}.sql`);
+}
+
+/**
+ * Check if a named snapshot exists
+ */
+export async function snapshotExists(name) {
+  return !!await findSnapshotFile(await getSnapshotPath(name));
+}
+
+/**
+ * List all snapshots (default first, then named ones alphabetically)
+ * Each entry has name, path, format, size, modified, manifest and per-table
+ * row counts (from the manifest, or by scanning older SQL snapshots)
+ */
+export async function listSnapshots() {
+  const config = await getConfig();
+  const names = [];
+
+  if (await findSnapshotFile(config.stateFile)) {
+    names.push(DEFAULT_SNAPSHOT);
+  }
+
+  try {
+    const entries = await fs.readdir(config.snapshotDir);
+    const named = new Set();
+    for (const entry of entries) {
+      const name = stripExtension(entry);
+      if (name !== entry && isValidSnapshotName(name) && name !== DEFAULT_SNAPSHOT) {
+        named.add(name);
+      }
+    }
+    names.push(...[...named].sort());
+  } catch {
+    // Snapshot directory doesn't exist yet
+  }
+
+  const snapshots = [];
+  for (const name of names) {
+    const filePath = await findSnapshotFile(await getSnapshotPath(name));
+    const stats = await fs.stat(filePath);
+    const format = await detectFormat(filePath);
+    const manifest = await readManifest(filePath);
+    snapshots.push({
+      name,
+      path: filePath,
+      format: FORMATS[format].label,
+      encrypted: await isEncrypted(filePath),
+      size: formatBytes(stats.size),
+      modified: stats.mtime,
+      manifest,
+      rowCounts: manifest ? manifest.rowCounts : await countRows(filePath, format),
+    });
+  }
+
+  return snapshots;
+}
+
+/**
+ * Delete a named snapshot (every format variant of it)
+ * Returns false if the snapshot didn't exist
+ */
+export async function deleteSnapshot(name) {
+  const filePath = await getSnapshotPath(name);
+  if (!await findSnapshotFile(filePath)) {
+    return false;
+  }
+
+  for (const variant of Object.values(variantsOf(filePath))) {
+    await fs.rm(variant, { force: true });
+  }
+  await fs.rm(manifestPathFor(filePath), { force: true });
+  await fs.rm(storageArchivePathFor(filePath), { force: true });
+  return true;
+}
+
+/**
+ * Count rows per table in a snapshot by scanning its INSERT statements
+ * pg_dump --inserts writes one INSERT per row, so this is exact
+ * Returns null for custom-format archives, which hold COPY data, and for
+ * encrypted snapshots without the key
+ */
+export async function countRows(filePath, format) {
+  if (format === 'custom') {
+    return null;
+  }
+
+  let source;
+  try {
+    source = await openSnapshot(filePath);
+  } catch {
+    return null;  // Encrypted and no (or the wrong) key
+  }
+
+  // Whole statements, so lines of a multi-line text value aren't counted as rows
+  const counts = {};
+  const count = insertTransform(statement => {
+    const table = statement.match(/^INSERT INTO (\S+) /)[1];
+    counts[table] = (counts[table] || 0) + 1;
+    return '';
+  });
+  const discard = new Writable({ write: (chunk, encoding, callback) => callback() });
+
+  try {
+    await pipeline(source, count, discard);
+  } catch {
+    return null;  // Unreadable (corrupt, or failed authentication)
+  }
+
+  return counts;
+}
@@ -0,0 +1,145 @@
+/**
+ * Streaming SQL rewrites for pg_dump output
+ *
+ * pg_dump --inserts writes one INSERT per row, but a row can span several
+ * lines when a text value contains newlines. These transforms work line by
+ * line and only buffer the INSERT currently being read, so memory use is
+ * bounded by the largest row rather than the whole dump.
+ */
+
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+
+// What a restored row does when its key already exists (config.onConflict)
+// - skip:      ON CONFLICT DO NOTHING - the existing row wins
+// - overwrite: ON CONFLICT (<pk>) DO UPDATE - the snapshot's row wins
+// - fail:      no clause - the INSERT errors and the restore reports it
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'fail'];
+
+/**
+ * Transform stream that adds an ON CONFLICT clause to every INSERT
+ * The clause goes on its own line after the VALUES list.
+ * @param {string} [strategy] - One of CONFLICT_STRATEGIES
+ * @param {Map<string, string[]>} [primaryKeys] - schema.table -> key columns, for overwrite.
+ *   Overwrite needs pg_dump --column-inserts; tables without a key fall back to skip.
+ */
+export function onConflictTransform(strategy = 'skip', primaryKeys = new Map()) {
+  if (strategy === 'fail') {
+    return insertTransform(statement => statement);
+  }
+
+  return insertTransform(statement => {
+    const clause = strategy === 'overwrite' ? upsertClause(statement, primaryKeys) : null;
+    return `${statement.slice(0, -1)}\n${clause || 'ON CONFLICT DO NOTHING'};`;
+  });
+}
+
+/**
+ * Build ON CONFLICT (<pk>) DO UPDATE SET ... for a --column-inserts statement
+ * Returns null if the table has no primary key or nothing besides it to update
+ */
+function upsertClause(statement, primaryKeys) {
+  const head = statement.match(/^INSERT INTO ((?:"(?:[^"]|"")*"|[^\s"])+) \(((?:"(?:[^"]|"")*"|[^)"])*)\) VALUES /);
+  if (!head) {
+    return null;
+  }
+
+  const key = primaryKeys.get(splitIdentifiers(head[1], '.').join('.'));
+  if (!key) {
+    return null;
+  }
+
+  const columns = splitIdentifiers(head[2], ',').filter(column => !key.includes(column));
+  if (columns.length === 0) {
+    return null;
+  }
+
+  const quote = name => `"${name.replace(/"/g, '""')}"`;
+  return `ON CONFLICT (${key.map(quote).join(', ')}) DO UPDATE SET ${columns
+    .map(column => `${quote(column)} = EXCLUDED.${quote(column)}`)
+    .join(', ')}`;
+}
+
+/**
+ * Split a list of possibly-quoted identifiers and unquote them
+ * ('public."My Table"' on '.', or 'id, "Name"' on ',')
+ */
+function splitIdentifiers(text, separator) {
+  const names = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    if (char === separator && !quoted) {
+      names.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  names.push(current);
+
+  return names.map(name => {
+    const trimmed = name.trim();
+    return trimmed.startsWith('"') ? trimmed.slice(1, -1).replace(/""/g, '"') : trimmed;
+  });
+}
+
+/**
+ * Transform stream that passes SQL through, handing each complete
+ * INSERT statement (including its trailing ;) to rewrite()
+ */
+export function insertTransform(rewrite) {
+  let partial = '';     // Incomplete trailing line from the last chunk
+  let insert = null;    // Lines of the INSERT being accumulated
+  let quotes = 0;       // Single quotes seen so far in that INSERT
+  const decoder = new StringDecoder('utf8');  // Don't split multi-byte characters
+
+  function processLine(line) {
+    if (insert === null && !line.startsWith('INSERT INTO ')) {
+      return `${line}\n`;
+    }
+
+    insert = insert || [];
+    insert.push(line);
+    quotes += countQuotes(line);
+
+    // Quotes are escaped by doubling, so an even count means we're outside
+    // a string literal and a trailing ); really ends the statement
+    if (quotes % 2 === 0 && line.endsWith(');')) {
+      const statement = insert.join('\n');
+      insert = null;
+      quotes = 0;
+      return `${rewrite(statement)}\n`;
+    }
+
+    return '';
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const lines = (partial + decoder.write(chunk)).split('\n');
+      partial = lines.pop();
+      callback(null, lines.map(processLine).join(''));
+    },
+    flush(callback) {
+      const rest = partial + decoder.end();
+      let out = rest ? processLine(rest) : '';
+      // Dump ended mid-statement - pass the fragment through untouched
+      if (insert) {
+        out += `${insert.join('\n')}\n`;
+      }
+      callback(null, out);
+    },
+  });
+}
+
+function countQuotes(line) {
+  let count = 0;
+  for (let i = 0; i < line.length; i++) {
+    if (line.charCodeAt(i) === 39) count++;
+  }
+  return count;
+}
@@ -2,83 +2,351 @@
  * Core state management - save and restore database state
  *
  * Follows the proven workflow from scouty:
- * 1. Dynamically discover tables (excluding system tables)
+ * 1. Dynamically discover tables (config.schemas and table patterns, see tables.js)
  * 2. Export each table with pg_dump --table=schema.table
- * 3. Add ON CONFLICT DO NOTHING to all INSERTs via sed-like replacement
+ *    (--exclude-table-data for schema-only tables)
+ * 3. Add an ON CONFLICT clause to all INSERTs as the dump streams to disk
+ *    (DO NOTHING by default - see config.onConflict and sql-stream.js)
  * 4. Wrap with replication_role disable/enable for performance
+ *
+ * config.format picks how the file is stored (see formats.js), and every
+ * snapshot gets a manifest with row counts and a checksum (see manifest.js).
+ * Uploaded Storage files are saved and restored alongside (see storage.js).
  */
 
 import fs from 'fs/promises';
+import path from 'path';
+import { createWriteStream } from 'fs';
+import { createGzip } from 'zlib';
+import { pipeline } from 'stream/promises';
+import { createHash } from 'crypto';
 import { execSync } from 'child_process';
-import { getConfig, fileExists } from './config.js';
+import { getConfig } from './config.js';
+import {
+  execInContainer,
+  exportSnapshot,
+  waitForExit,
+  psqlStream,
+  pgRestoreStream,
+  quoteIdent,
+} from './docker.js';
+import {
+  manifestPathFor,
+  buildManifest,
+  writeManifest,
+  readManifest,
+  hashFile,
+  findShortTables,
+  countTableRows,
+} from './manifest.js';
+import { onConflictTransform, CONFLICT_STRATEGIES } from './sql-stream.js';
+import { createMasker, maskTransform } from './masking.js';
+import { requireSecret, encryptStage, isEncrypted } from './encryption.js';
+import { createRestoreReport } from './restore-report.js';
+import { restoreWithDrift } from './drift.js';
+import { discoverTables, getPrimaryKeys } from './tables.js';
+import { truncateCapturedTables } from './clean.js';
+import { syncSequences } from './sequences.js';
+import { saveStorageFiles, restoreStorageFiles, storageArchivePathFor } from './storage.js';
+import {
+  FORMATS,
+  checkFormat,
+  withFormat,
+  findSnapshotFile,
+  removeOtherVariants,
+  detectFormat,
+  openSnapshot,
+} from './formats.js';
 import { log } from '../utils/log.js';
 
+export const RESTORE_MODES = ['merge', 'drift'];
+
 /**
- * Save current database state to the state file
+ * Save current database state to the state file, in config.format
+ * @param {string} [file] - Snapshot file to write (defaults to config.stateFile)
+ * @param {object} [options]
+ * @param {boolean} [options.quiet] - Don't list the tables being exported (for autosave)
+ * @param {boolean} [options.mask] - Apply config.masking rules (for snapshots that get shared)
+ * @returns {Promise<string|false>} - the file written, or false if there were no tables to save
  */
-export async function saveState() {
+export async function saveState(file, options = {}) {
   const config = await getConfig();
-  const container = config.containerName;
+  const stateFile = file || config.stateFile;
+  const format = checkFormat(config.format);
+
+  // Masking rewrites INSERT values, so it needs SQL with column names
+  const masker = options.mask ? createMasker(config) : null;
+  if (masker?.isEmpty) {
+    throw new Error('No masking rules configured (add masking.rules to .supabase-stateful.json)');
+  }
+  if (masker && format === 'custom') {
+    throw new Error('Masking needs the sql or gzip format - pg_dump custom archives can\'t be rewritten');
+  }
+  const onConflict = checkConflictStrategy(config.onConflict);
+  if (onConflict === 'overwrite' && format === 'custom') {
+    throw new Error('onConflict "overwrite" needs the sql or gzip format - pg_dump custom archives load with COPY');
+  }
+  const secret = config.encrypt ? await requireSecret('Snapshot encryption is on (config.encrypt)') : null;
 
-  // Backup existing state file
-  if (await fileExists(config.stateFile)) {
-    await fs.copyFile(config.stateFile, `${config.stateFile}.backup`);
-  }
-
-  log.dim('Discovering tables to export...');
-
-  // Query to find all user tables (excluding system tables)
-  const tablesQuery = `
-    SELECT schemaname, tablename
-    FROM pg_tables
-    WHERE schemaname IN ('public', 'auth')
-      AND tablename NOT LIKE 'supabase_%'
-      AND tablename NOT LIKE '%_migrations'
-      AND tablename NOT LIKE 'pg_%'
-      AND tablename NOT IN ('schema_migrations', 'spatial_ref_sys')
-    ORDER BY schemaname, tablename;
-  `;
-
-  // Get list of tables
-  const tablesOutput = execSync(
-    `docker exec ${container} psql -U postgres -d postgres -t -c "${tablesQuery}"`,
-    { encoding: 'utf8' }
-  );
-
-  // Parse table list and build --table flags
-  const tableFlags = tablesOutput
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line && line.includes('|'))
-    .map(line => {
-      const [schema, table] = line.split('|').map(s => s.trim());
-      log.dim(`  Will export: ${schema}.${table}`);
-      return `--table=${schema}.${table}`;
-    })
-    .join(' ');
-
-  if (!tableFlags) {
+  if (!options.quiet) {
+    log.dim('Discovering tables to export...');
+  }
+  const tables = await discoverTables(config);
+
+  // Build --table flags (and --exclude-table-data for schema-only tables)
+  // Names are quoted so mixed-case tables and pattern characters match literally
+  const tableFlags = tables.flatMap(({ schema, table, schemaOnly }) => {
+    const name = `${quoteIdent(schema)}.${quoteIdent(table)}`;
+    if (!options.quiet) {
+      log.dim(`  Will export: ${schema}.${table}${schemaOnly ? ' (schema only)' : ''}`);
+    }
+    return schemaOnly ? [`--table=${name}`, `--exclude-table-data=${name}`] : [`--table=${name}`];
+  });
+
+  if (tables.length === 0) {
     log.warn('No tables found to export');
-    return;
+    return false;
+  }
+
+  // Write to a temp file first so a failed dump never clobbers the last good state
+  const targetFile = withFormat(stateFile, format);
+  const partialFile = `${targetFile}.partial`;
+  await fs.mkdir(path.dirname(targetFile), { recursive: true });
+
+  // Overwriting needs each table's key for ON CONFLICT (<pk>) DO UPDATE
+  const primaryKeys = onConflict === 'overwrite' ? await getPrimaryKeys(tables) : null;
+  if (primaryKeys && !options.quiet) {
+    const keyless = tables.filter(t => !t.schemaOnly && !primaryKeys.has(`${t.schema}.${t.table}`));
+    for (const { schema, table } of keyless) {
+      log.dim(`  No primary key on ${schema}.${table} - its rows are skipped on conflict instead`);
+    }
+  }
+
+  // Rows are counted in the snapshot the dump reads, so the manifest matches the
+  // file even while the app keeps writing (e.g. during an autosave)
+  const snapshot = await exportSnapshot();
+  const hash = createHash('sha256');
+  let rowCounts;
+
+  try {
+    // Schema-only tables are saved without rows, so there's nothing to count
+    rowCounts = await countTableRows(tables.filter(t => !t.schemaOnly), snapshot.query);
+
+    // Stream pg_dump straight to disk so state size is bounded by disk, not memory
+    // Include schema (CREATE TABLE) + data so migrations can run ON TOP of existing data
+    // Masking and upserts need column names in every INSERT
+    const insertFlag = masker || primaryKeys ? '--column-inserts' : '--inserts';
+    const formatFlags = format === 'custom' ? ['--format=custom'] : [insertFlag];
+    const dump = await execInContainer(
+      ['pg_dump', '-U', 'postgres', '-d', 'postgres', `--snapshot=${snapshot.id}`, ...formatFlags, ...tableFlags]
+    );
+
+    // Custom archives are written as-is; SQL gets masking, ON CONFLICT + header/footer
+    const stages = format === 'custom'
+      ? [dump.stdout]
+      : [
+        dump.stdout,
+        ...(masker ? [maskTransform(masker)] : []),
+        onConflictTransform(onConflict, primaryKeys || undefined),
+        async function* (sql) {
+          yield stateHeader();
+          yield* sql;
+          yield STATE_FOOTER;
+        },
+      ];
+    if (format === 'gzip') {
+      stages.push(createGzip());
+    }
+    if (secret) {
+      stages.push(encryptStage(secret, format));
+    }
+
+    // Hash the bytes on their way to disk for the manifest checksum
+    stages.push(async function* (chunks) {
+      for await (const chunk of chunks) {
+        hash.update(chunk);
+        yield chunk;
+      }
+    });
+
+    await Promise.all([
+      pipeline(...stages, createWriteStream(partialFile)),
+      waitForExit(dump),
+    ]);
+  } catch (err) {
+    await fs.rm(partialFile, { force: true });
+    throw err;
+  } finally {
+    await snapshot.close();
+  }
+
+  // Storage is archived before anything is replaced, so a failure here leaves
+  // the last good save (snapshot, archive and manifest) as it was
+  const archiveFile = storageArchivePathFor(targetFile);
+  let storage;
+  try {
+    storage = await saveStorageFiles(`${archiveFile}.partial`, { secret });
+  } catch (err) {
+    await fs.rm(partialFile, { force: true });
+    throw err;
+  }
+
+  // Drop the old manifest first so it can never describe the new file
+  await fs.rm(manifestPathFor(targetFile), { force: true });
+  await fs.rename(partialFile, targetFile);
+  await removeOtherVariants(targetFile);
+  if (storage) {
+    await fs.rename(`${archiveFile}.partial`, archiveFile);
+  } else {
+    // Never leave an archive from an older save next to this snapshot
+    await fs.rm(archiveFile, { force: true });
   }
 
-  // Run pg_dump with all table flags
-  // Include schema (CREATE TABLE) + data so migrations can run ON TOP of existing data
-  const rawSql = execSync(
-    `docker exec ${container} pg_dump -U postgres -d postgres --inserts ${tableFlags}`,
-    { encoding: 'utf8', maxBuffer: 50 * 1024 * 1024 }
-  );
+  const manifest = await buildManifest({
+    file: targetFile,
+    format,
+    tables,
+    sha256: hash.digest('hex'),
+    rowCounts,
+    storage,
+    masked: !!masker,
+    encrypted: !!secret,
+    onConflict,
+  });
+  await writeManifest(targetFile, manifest);
 
-  // Add ON CONFLICT DO NOTHING to all INSERT statements
-  // This makes restoration idempotent - existing rows are skipped
-  const safeSql = rawSql.replace(
-    /^(INSERT INTO [^;]+);$/gm,
-    '$1\nON CONFLICT DO NOTHING;'
-  );
+  return targetFile;
+}
+
+/**
+ * Restore saved state from the state file
+ * Should be called AFTER migrations have been applied
+ * The file's format is detected, so snapshots saved in any format restore.
+ * If the snapshot has a manifest, its checksum is verified first and row
+ * counts are compared afterwards.
+ * @param {string} [file] - Snapshot file to load (defaults to config.stateFile)
+ * @param {object} [options]
+ * @param {string} [options.mode] - 'merge' replays the snapshot as-is, 'drift' maps it
+ *   onto the current schema (see drift.js); defaults to config.restoreMode
+ * @param {boolean} [options.clean] - Empty the captured tables first so the data ends up
+ *   exactly as saved (see clean.js); defaults to config.cleanRestore
+ * @returns {Promise<false|{file: string, manifest: object|null, errors: Array, shortTables: Array,
+ *   storage: boolean, cleaned: string[], sequences: Array}>}
+ *   errors is the per-table summary from restore-report.js; storage is whether files were restored;
+ *   cleaned lists the tables emptied before loading; sequences the ones advanced afterwards (sequences.js)
+ */
+export async function restoreState(file, options = {}) {
+  const config = await getConfig();
+  const stateFile = await findSnapshotFile(file || config.stateFile);
+  const mode = checkRestoreMode(options.mode || config.restoreMode);
+  const clean = options.clean ?? config.cleanRestore;
+
+  if (!stateFile) {
+    return false;
+  }
+
+  const manifest = await readManifest(stateFile);
+  if (manifest && await hashFile(stateFile) !== manifest.sha256) {
+    throw new Error(
+      `Checksum mismatch for ${stateFile} - the file is corrupted or was modified after saving ` +
+      `(delete ${manifestPathFor(stateFile)} to restore it anyway)`
+    );
+  }
+  const storageArchive = storageArchivePathFor(stateFile);
+  if (manifest?.storage && await hashFile(storageArchive).catch(() => null) !== manifest.storage.sha256) {
+    throw new Error(
+      `Checksum mismatch for ${storageArchive} - the archive is missing, corrupted or was modified after saving ` +
+      `(delete ${manifestPathFor(stateFile)} to restore it anyway)`
+    );
+  }
+
+  const format = await detectFormat(stateFile);
+  // Saved with onConflict overwrite/fail, a duplicate row means the snapshot's row didn't land
+  const onConflict = manifest?.onConflict || 'skip';
+  const report = createRestoreReport({ duplicatesAreLoss: onConflict !== 'skip' });
+  const onStderrLine = line => report.addLine(line);
+
+  // Opened up front so a missing or wrong key fails before anything is applied
+  const source = await openSnapshot(stateFile);
+
+  let cleaned = [];
+  if (clean) {
+    try {
+      cleaned = await truncateCapturedTables(config);
+    } catch (err) {
+      source.destroy();
+      throw err;
+    }
+    log.dim(`Emptied ${cleaned.length} table(s) before loading`);
+  }
+
+  // Apply the state file - failing statements don't stop the restore;
+  // their errors are collected per table from stderr instead
+  try {
+    if (mode === 'drift') {
+      await restoreWithDrift(source, format, report, { onConflict });
+    } else if (format === 'custom') {
+      await pgRestoreStream(source, { onStderrLine });
+    } else {
+      await psqlStream(source, {
+        echoErrors: true,
+        onStderrLine,
+      });
+    }
+  } catch (err) {
+    // pg_restore exits non-zero whenever it skipped errors; only a failure
+    // that produced no SQL errors (e.g. can't connect) is fatal
+    if (report.summarize().length === 0) {
+      throw err;
+    }
+  }
 
-  // Wrap with header and footer
+  // Restored ids can be ahead of the sequences that generate new ones
+  let sequences = [];
+  try {
+    sequences = await syncSequences(config);
+  } catch (err) {
+    log.warn(`Couldn't check sequences after the restore: ${err.message}`);
+  }
+  for (const { sequence, to } of sequences) {
+    log.dim(`Advanced sequence ${sequence} to ${to}`);
+  }
+
+  // Object metadata is back in storage.objects, now put the files under it
+  const storage = await restoreStorageFiles(stateFile);
+
+  // Tables with fewer rows than were saved lost data somewhere in the restore
+  const shortTables = manifest ? await findShortTables(manifest) : [];
+
+  return { file: stateFile, manifest, errors: report.summarize(), shortTables, storage, cleaned, sequences };
+}
+
+/**
+ * Check a conflict strategy from config, throwing on unknown values
+ */
+function checkConflictStrategy(strategy) {
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown onConflict strategy "${strategy}" (expected: ${CONFLICT_STRATEGIES.join(', ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * Check a restore mode, throwing on unknown values
+ */
+function checkRestoreMode(mode) {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`Unknown restore mode "${mode}" (expected: ${RESTORE_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Header written at the top of every state file
+ */
+function stateHeader() {
   const timestamp = new Date().toISOString();
-  const sql = `-- =============================================================================
+  return `-- =============================================================================
 -- Local Development State Snapshot
 -- =============================================================================
 -- Generated: ${timestamp}
@@ -95,8 +363,10 @@ export async function saveState() {
 -- Disable foreign key checks temporarily
 SET session_replication_role = replica;
 
-${safeSql}
+`;
+}
 
+const STATE_FOOTER = `
 -- Re-enable foreign key checks
 SET session_replication_role = DEFAULT;
 
@@ -114,38 +384,6 @@ BEGIN
 END $$;
 `;
 
-  await fs.writeFile(config.stateFile, sql);
-}
-
-/**
- * Restore saved state from the state file
- * Should be called AFTER migrations have been applied
- */
-export async function restoreState() {
-  const config = await getConfig();
-  const container = config.containerName;
-
-  if (!await fileExists(config.stateFile)) {
-    return false;
-  }
-
-  // Copy state file into container
-  execSync(`docker cp "${config.stateFile}" "${container}:/tmp/state.sql"`);
-
-  // Apply the state file - errors are expected (duplicates) so we don't throw
-  try {
-    execSync(
-      `docker exec ${container} psql -U postgres -d postgres -f /tmp/state.sql`,
-      { encoding: 'utf8', stdio: 'pipe' }
-    );
-  } catch {
-    // Errors during restore are tolerated (likely duplicate key conflicts)
-    // The ON CONFLICT DO NOTHING handles most cases, but some edge cases may error
-  }
-
-  return true;
-}
-
 /**
  * Clear auth refresh tokens to prevent duplicate key errors on next start
  */
@@ -165,40 +403,48 @@ export async function clearAuthTokens() {
 }
 
 /**
- * Check if a saved state file exists
+ * Check if a saved state file exists (in any format)
+ * @param {string} [file] - State file to check (defaults to config.stateFile)
  */
-export async function stateExists() {
+export async function stateExists(file) {
   const config = await getConfig();
-  return fileExists(config.stateFile);
+  return !!await findSnapshotFile(file || config.stateFile);
 }
 
 /**
- * Get info about the saved state (size, last modified)
+ * Get info about the saved state (path, format, encryption, size, last modified)
+ * @param {string} [file] - State file to describe (defaults to config.stateFile)
  */
-export async function getStateInfo() {
+export async function getStateInfo(file) {
   const config = await getConfig();
+  const stateFile = await findSnapshotFile(file || config.stateFile);
 
-  try {
-    const stats = await fs.stat(config.stateFile);
-    return {
-      exists: true,
-      path: config.stateFile,
-      size: formatBytes(stats.size),
-      modified: stats.mtime,
-    };
-  } catch {
+  if (!stateFile) {
     return {
       exists: false,
-      path: config.stateFile,
+      path: withFormat(file || config.stateFile, config.format),
     };
   }
+
+  const stats = await fs.stat(stateFile);
+  const format = await detectFormat(stateFile);
+  return {
+    exists: true,
+    path: stateFile,
+    format,
+    formatLabel: FORMATS[format].label,
+    encrypted: await isEncrypted(stateFile),
+    size: formatBytes(stats.size),
+    modified: stats.mtime,
+  };
 }
 
 /**
  * Format bytes to human readable string
  */
-function formatBytes(bytes) {
+export function formatBytes(bytes) {
   if (bytes < 1024) return `${bytes} B`;
   if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
 }
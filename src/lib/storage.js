@@ -0,0 +1,151 @@
+/**
+ * Supabase Storage persistence
+ *
+ * Bucket and object metadata live in storage.buckets / storage.objects and
+ * are captured with the rest of the database (see tables.js). The uploaded
+ * files themselves live on the storage container's volume, so they're saved
+ * next to each snapshot as <snapshot>.storage.tar.gz:
+ * 1. Save: tar the storage volume inside the container, gzip it on the way to disk
+ *    (and encrypt it, like the snapshot, when config.encrypt is on)
+ * 2. Restore: stream the archive back, decrypting if needed, and untar it over the volume
+ *
+ * Set config.storage to false to skip storage entirely.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createWriteStream } from 'fs';
+import { createGzip, createGunzip } from 'zlib';
+import { createHash } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { getConfig } from './config.js';
+import { stripExtension } from './formats.js';
+import { execInContainer, waitForExit, isContainerRunning } from './docker.js';
+import { encryptStage, openDecrypted, chain } from './encryption.js';
+import { log } from '../utils/log.js';
+
+// Tables holding bucket and object metadata
+export const STORAGE_TABLES = ['storage.buckets', 'storage.objects'];
+
+// Where the local storage API keeps uploaded files (FILE_STORAGE_BACKEND_PATH)
+const STORAGE_ROOT = '/mnt';
+
+/**
+ * Get the storage archive path for a snapshot file
+ */
+export function storageArchivePathFor(file) {
+  return `${stripExtension(file)}.storage.tar.gz`;
+}
+
+/**
+ * Get the storage API container name
+ * Derived from the postgres container (supabase_db_x -> supabase_storage_x)
+ */
+export function getStorageContainerName(config) {
+  return config.storageContainerName
+    || (config.containerName || '').replace(/^supabase_db_/, 'supabase_storage_');
+}
+
+/**
+ * Archive the storage volume
+ * Written to a temporary path (see saveState), so a failed tar never replaces
+ * the archive of the last good save; removed again if it fails
+ * @param {string} archive - File to write, e.g. storageArchivePathFor(snapshot) + '.partial'
+ * @param {object} [options]
+ * @param {Buffer|null} [options.secret] - Encrypt the archive with this secret (see encryption.js)
+ * @returns {Promise<{size: number, sha256: string}|null>} - null if storage isn't saved
+ */
+export async function saveStorageFiles(archive, { secret = null } = {}) {
+  const config = await getConfig();
+  const container = getStorageContainerName(config);
+
+  if (config.storage === false) {
+    return null;
+  }
+  if (!isContainerRunning(container)) {
+    log.dim(`Storage container ${container} isn't running - skipping uploaded files`);
+    return null;
+  }
+
+  log.dim('Saving storage files...');
+  const hash = createHash('sha256');
+  const tar = await execInContainer(['tar', '-cf', '-', '-C', STORAGE_ROOT, '.'], { container });
+
+  try {
+    await Promise.all([
+      pipeline(
+        tar.stdout,
+        createGzip(),
+        ...(secret ? [encryptStage(secret, 'gzip')] : []),
+        async function* (chunks) {
+          for await (const chunk of chunks) {
+            hash.update(chunk);
+            yield chunk;
+          }
+        },
+        createWriteStream(archive)
+      ),
+      waitForExit(tar),
+    ]);
+  } catch (err) {
+    await fs.rm(archive, { force: true });
+    throw err;
+  }
+
+  const stats = await fs.stat(archive);
+  return { size: stats.size, sha256: hash.digest('hex') };
+}
+
+/**
+ * Put a snapshot's storage files back on the storage volume
+ * @param {string} snapshotFile - The snapshot being restored
+ * @returns {Promise<boolean>} - false if the snapshot has no storage archive
+ */
+export async function restoreStorageFiles(snapshotFile) {
+  const config = await getConfig();
+  const archive = storageArchivePathFor(snapshotFile);
+  const container = getStorageContainerName(config);
+
+  try {
+    await fs.access(archive);
+  } catch {
+    return false;
+  }
+
+  if (config.storage === false) {
+    return false;
+  }
+  if (!isContainerRunning(container)) {
+    log.warn(`Storage container ${container} isn't running - uploaded files were not restored`);
+    return false;
+  }
+
+  log.dim('Restoring storage files...');
+  // Opened first so a missing key or tampered archive fails before tar starts
+  const source = chain(await openDecrypted(archive), createGunzip());
+  const tar = await execInContainer(['tar', '-xf', '-', '-C', STORAGE_ROOT], {
+    container,
+    input: true,
+    output: false,
+  });
+  await Promise.all([
+    pipeline(source, tar.stdin),
+    waitForExit(tar),
+  ]);
+  return true;
+}
+
+/**
+ * Copy a snapshot's storage archive alongside a copy of the snapshot
+ * Removes any stale archive at the destination if the source has none
+ */
+export async function copyStorageArchive(fromFile, toFile) {
+  const target = storageArchivePathFor(toFile);
+  try {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(storageArchivePathFor(fromFile), target);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    await fs.rm(target, { force: true });
+  }
+}
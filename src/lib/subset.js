@@ -0,0 +1,231 @@
+/**
+ * Referentially complete subsets of cloud data
+ *
+ * A subset starts from root rows and follows foreign keys both ways:
+ * - down: rows that reference the subset (a coach's bookings, then their
+ *   payments...) are added, up to a per-table cap
+ * - up: every row a subset row references is added whatever the caps, so
+ *   nothing in the seed points at a missing parent
+ * Rows pulled in only as parents aren't followed down again - otherwise a
+ * shared parent (the plan every booking uses) would drag in the whole database.
+ *
+ * Roots are PostgREST filters, written either way:
+ *   --root coaches:id=42
+ *   --where "client_profiles.email like '%@ourco.com'"
+ */
+
+// SQL-style comparison -> PostgREST operator
+const OPERATORS = {
+  '=': 'eq',
+  '!=': 'neq',
+  '<>': 'neq',
+  '<': 'lt',
+  '<=': 'lte',
+  '>': 'gt',
+  '>=': 'gte',
+  like: 'like',
+  ilike: 'ilike',
+};
+
+// Values per "in.(...)" request, keeping URLs well under server limits
+const BATCH_SIZE = 100;
+
+/**
+ * Parse --root table:column=value
+ * @returns {{table: string, filter: string, label: string}}
+ */
+export function parseRoot(value) {
+  const match = value.match(/^([^:]+):([^=]+)=(.*)$/);
+  if (!match) {
+    throw new Error(`Invalid --root "${value}" - use table:column=value, e.g. coaches:id=42`);
+  }
+  const [, table, column, rootValue] = match;
+  return { table, filter: `${encodeURIComponent(column)}=eq.${encodeURIComponent(rootValue)}`, label: value };
+}
+
+/**
+ * Parse --where "table.column <op> value"
+ * Operators: = != <> < <= > >= like ilike in (...) is null / is not null
+ * @returns {{table: string, filter: string, label: string}}
+ */
+export function parseWhere(value) {
+  const match = value.trim().match(/^([\w$]+)\.([\w$]+)\s*(<>|!=|<=|>=|=|<|>|\s+(?:not\s+)?(?:i?like|in|is)\s+)\s*(.+)$/i);
+  if (!match) {
+    throw new Error(`Invalid --where "${value}" - use table.column <op> value, e.g. "coaches.email like '%@ourco.com'"`);
+  }
+  const [, table, column, rawOperator, rawValue] = match;
+  let operator = rawOperator.trim().toLowerCase().replace(/\s+/g, ' ');
+  let negate = operator.startsWith('not ');
+  operator = operator.replace(/^not /, '');
+
+  let filter;
+  if (operator === 'is') {
+    const literal = rawValue.trim().toLowerCase().match(/^(not\s+)?(null|true|false)$/);
+    if (!literal) {
+      throw new Error(`Invalid --where "${value}" - is only compares with null, true or false`);
+    }
+    negate = negate || !!literal[1];
+    filter = `is.${literal[2]}`;
+  } else if (operator === 'in') {
+    const list = rawValue.trim().match(/^\((.*)\)$/);
+    if (!list) {
+      throw new Error(`Invalid --where "${value}" - in needs a list, e.g. in (1, 2, 3)`);
+    }
+    filter = inFilter(splitList(list[1]).map(unquote));
+  } else {
+    const text = unquote(rawValue.trim());
+    // PostgREST uses * as the like wildcard
+    filter = `${OPERATORS[operator]}.${operator.endsWith('like') ? text.replace(/%/g, '*') : text}`;
+  }
+
+  return {
+    table,
+    filter: `${encodeURIComponent(column)}=${negate ? 'not.' : ''}${encodeURIComponent(filter)}`,
+    label: value,
+  };
+}
+
+/**
+ * Collect a referentially complete subset
+ * @param {object} options
+ * @param {Array<{table: string, filter: string}>} options.roots
+ * @param {string[]} options.tables - Tables being exported; FKs to others aren't followed
+ * @param {Array<{from: string, columns: string[], to: string, references: string[]}>} options.foreignKeys
+ * @param {Map<string, string[]>} options.primaryKeys - Rows of tables without one are told apart by content
+ * @param {(table: string) => number} options.capFor - Max rows taken for a table from roots and children
+ * @param {(table: string, filter: string, limit: number|null) => Promise<object[]>} options.fetchRows
+ * @returns {Promise<{rows: Map<string, object[]>, capped: string[]}>}
+ */
+export async function collectSubset({ roots, tables, foreignKeys, primaryKeys, capFor, fetchRows }) {
+  const selected = new Map(tables.map(table => [table, new Map()]));
+  const capped = new Set();
+  const queue = [];
+
+  // Single-column keys only - the API schema doesn't describe composite ones
+  const keys = foreignKeys.filter(fk =>
+    fk.columns.length === 1 && selected.has(fk.from) && selected.has(fk.to));
+
+  const identity = (table, row) => {
+    const primaryKey = primaryKeys.get(table);
+    return JSON.stringify(primaryKey ? primaryKey.map(column => row[column]) : row);
+  };
+
+  function add(table, rows, down) {
+    const added = [];
+    for (const row of rows) {
+      const id = identity(table, row);
+      const existing = selected.get(table).get(id);
+      // A row first seen as a parent is followed down once it's reached from above
+      if (existing && (existing.down || !down)) continue;
+      selected.get(table).set(id, { row, down });
+      added.push(row);
+    }
+    if (added.length > 0) {
+      queue.push({ table, rows: added, down });
+    }
+  }
+
+  /**
+   * Add matching rows, down to the table's cap - false once the cap is reached
+   * One extra row is fetched to tell "exactly the cap" from "more than fits"
+   */
+  async function addCapped(table, filter) {
+    const room = capFor(table) - selected.get(table).size;
+    if (room <= 0) {
+      capped.add(table);
+      return false;
+    }
+    const rows = await fetchRows(table, filter, room + 1);
+    if (rows.length > room) {
+      capped.add(table);
+    }
+    add(table, rows.slice(0, room), true);
+    return rows.length <= room;
+  }
+
+  for (const root of roots) {
+    if (!selected.has(root.table)) {
+      throw new Error(`Root table "${root.table}" isn't being exported`);
+    }
+    await addCapped(root.table, root.filter);
+  }
+
+  while (queue.length > 0) {
+    const { table, rows, down } = queue.shift();
+
+    // Up: every parent, so no row is orphaned
+    for (const fk of keys.filter(k => k.from === table)) {
+      const [column] = fk.columns;
+      const [referenced] = fk.references;
+      const isKey = primaryKeys.get(fk.to)?.join() === referenced;
+      const values = distinct(rows.map(row => row[column]))
+        .filter(value => !isKey || !selected.get(fk.to).has(JSON.stringify([value])));
+
+      for (const batch of batches(values)) {
+        add(fk.to, await fetchRows(fk.to, `${encodeURIComponent(referenced)}=${encodeURIComponent(inFilter(batch))}`, null), false);
+      }
+    }
+
+    if (!down) continue;
+
+    // Down: rows that reference this batch, while their table has room
+    for (const fk of keys.filter(k => k.to === table)) {
+      const [column] = fk.columns;
+      const [referenced] = fk.references;
+      for (const batch of batches(distinct(rows.map(row => row[referenced])))) {
+        const filter = `${encodeURIComponent(column)}=${encodeURIComponent(inFilter(batch))}`;
+        if (!await addCapped(fk.from, filter)) break;
+      }
+    }
+  }
+
+  return {
+    rows: new Map([...selected].map(([table, entries]) => [table, [...entries.values()].map(entry => entry.row)])),
+    capped: [...capped].sort(),
+  };
+}
+
+/**
+ * PostgREST in-list, each value quoted so commas and parentheses are safe
+ */
+function inFilter(values) {
+  return `in.(${values.map(value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`).join(',')})`;
+}
+
+function distinct(values) {
+  return [...new Set(values.filter(value => value !== null && value !== undefined))];
+}
+
+function* batches(values) {
+  for (let i = 0; i < values.length; i += BATCH_SIZE) {
+    yield values.slice(i, i + BATCH_SIZE);
+  }
+}
+
+/**
+ * Split "1, 'a,b', 3" on top-level commas
+ */
+function splitList(text) {
+  const items = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === "'") quoted = !quoted;
+    if (char === ',' && !quoted) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+/**
+ * 'it''s' -> it's; unquoted values are taken as-is
+ */
+function unquote(value) {
+  const match = value.match(/^'(.*)'$/s);
+  return match ? match[1].replace(/''/g, "'") : value;
+}
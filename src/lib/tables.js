@@ -0,0 +1,138 @@
+/**
+ * Table selection - which tables a snapshot captures
+ *
+ * Driven by config:
+ * - schemas: schemas to look in (default: public, auth)
+ * - includeTables: glob patterns; if set, only matching tables are captured
+ * - excludeTables: glob patterns for tables that are never captured
+ * - schemaOnlyTables: glob patterns for tables whose structure is kept but
+ *   whose rows are skipped (e.g. huge audit or log tables)
+ * - storage: also capture storage.buckets / storage.objects (see storage.js)
+ *
+ * Patterns use * and ? and match "schema.table", or just the table name
+ * (in any schema) when they contain no dot: "public.audit_*", "*_logs".
+ */
+
+import { psqlQuery, quoteLiteral } from './docker.js';
+import { STORAGE_TABLES } from './storage.js';
+
+// Supabase/Postgres bookkeeping tables, never worth capturing
+const SYSTEM_TABLES = [
+  'supabase_*',
+  '*_migrations',
+  'pg_*',
+  'schema_migrations',
+  'spatial_ref_sys',
+  'storage.migrations',
+];
+
+/**
+ * Find the tables to capture, according to config
+ * @param {object} config - From getConfig()
+ * @returns {Promise<Array<{schema: string, table: string, schemaOnly: boolean}>>}
+ */
+export async function discoverTables(config) {
+  const selection = createTableSelection(config);
+
+  const rows = await psqlQuery(`
+    SELECT schemaname, tablename
+    FROM pg_tables
+    WHERE schemaname IN (${selection.querySchemas.map(quoteLiteral).join(', ')})
+    ORDER BY schemaname, tablename;
+  `);
+
+  return rows
+    .filter(([schema, table]) => selection.captures(schema, table))
+    .map(([schema, table]) => ({ schema, table, schemaOnly: selection.isSchemaOnly(schema, table) }));
+}
+
+/**
+ * Look up the primary key columns of tables, in key order
+ * Tables without a primary key are left out
+ * @param {Array<{schema: string, table: string}>} tables
+ * @returns {Promise<Map<string, string[]>>} - keyed by schema.table
+ */
+export async function getPrimaryKeys(tables) {
+  const schemas = [...new Set(tables.map(t => t.schema))];
+  if (schemas.length === 0) {
+    return new Map();
+  }
+
+  const rows = await psqlQuery(`
+    SELECT n.nspname, c.relname, a.attname
+    FROM pg_index i
+    JOIN pg_class c ON c.oid = i.indrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = ANY (i.indkey)
+    WHERE i.indisprimary
+      AND n.nspname IN (${schemas.map(quoteLiteral).join(', ')})
+    ORDER BY n.nspname, c.relname, array_position(i.indkey::int2[], a.attnum);
+  `);
+
+  const wanted = new Set(tables.map(t => `${t.schema}.${t.table}`));
+  const keys = new Map();
+  for (const [schema, table, column] of rows) {
+    const name = `${schema}.${table}`;
+    if (!wanted.has(name)) continue;
+    if (!keys.has(name)) keys.set(name, []);
+    keys.get(name).push(column);
+  }
+  return keys;
+}
+
+/**
+ * Build the table selection from config, throwing on invalid settings
+ */
+export function createTableSelection(config) {
+  const schemas = checkPatternList(config.schemas, 'schemas');
+  if (schemas.length === 0) {
+    throw new Error('Config "schemas" must list at least one schema');
+  }
+
+  const include = checkPatternList(config.includeTables, 'includeTables').map(toMatcher);
+  const exclude = [...SYSTEM_TABLES, ...checkPatternList(config.excludeTables, 'excludeTables')].map(toMatcher);
+  const schemaOnly = checkPatternList(config.schemaOnlyTables, 'schemaOnlyTables').map(toMatcher);
+
+  // Storage metadata is captured whether or not its schema is listed
+  const extra = config.storage === false ? [] : STORAGE_TABLES;
+  const querySchemas = [...new Set([...schemas, ...extra.map(name => name.split('.')[0])])];
+
+  return {
+    schemas,
+    querySchemas,
+    captures(schema, table) {
+      if (exclude.some(match => match(schema, table))) {
+        return false;
+      }
+      if (extra.includes(`${schema}.${table}`)) {
+        return true;
+      }
+      return schemas.includes(schema)
+        && (include.length === 0 || include.some(match => match(schema, table)));
+    },
+    isSchemaOnly(schema, table) {
+      return schemaOnly.some(match => match(schema, table));
+    },
+  };
+}
+
+function checkPatternList(value, key) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error(`Config "${key}" must be a list of strings`);
+  }
+  return value;
+}
+
+/**
+ * Turn a glob pattern into a (schema, table) matcher
+ */
+function toMatcher(pattern) {
+  const regex = new RegExp(`^${pattern
+    .split('')
+    .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('')}$`);
+
+  return pattern.includes('.')
+    ? (schema, table) => regex.test(`${schema}.${table}`)
+    : (schema, table) => regex.test(table);
+}
@@ -0,0 +1,207 @@
+/**
+ * Local auth users
+ *
+ * Creates, lists and deletes users in the local auth schema with plain SQL
+ * inside the postgres container - no API keys or running GoTrue needed.
+ * Users are created confirmed, with an email identity, and their password
+ * hashed with bcrypt (pgcrypto's crypt), the same way GoTrue stores it, so
+ * they can sign in straight away.
+ *
+ * config.testUsers declares users that should always exist; start creates
+ * any that are missing after the restore. Cloud exports recreate the
+ * project's users with authUsersSql().
+ */
+
+import { psqlQuery, quoteLiteral } from './docker.js';
+
+/**
+ * List the users in auth.users, oldest first
+ * @returns {Promise<Array<{id: string, email: string, role: string, createdAt: string, lastSignInAt: string|null}>>}
+ */
+export async function listUsers() {
+  const rows = await psqlQuery(`
+    SELECT id, coalesce(email, ''), coalesce(role, ''), created_at, coalesce(last_sign_in_at::text, '')
+    FROM auth.users
+    ORDER BY created_at, email;
+  `);
+  return rows.map(([id, email, role, createdAt, lastSignInAt]) => ({
+    id,
+    email,
+    role,
+    createdAt,
+    lastSignInAt: lastSignInAt || null,
+  }));
+}
+
+/**
+ * Find a user by id or email
+ * @param {string} idOrEmail
+ * @returns {Promise<{id: string, email: string, phone: string, role: string, appMetadata: object, userMetadata: object}|null>}
+ */
+export async function findUser(idOrEmail) {
+  // One JSON column - metadata may contain the field separator
+  const rows = await psqlQuery(`
+    SELECT json_build_object(
+      'id', id, 'email', coalesce(email, ''), 'phone', coalesce(phone, ''), 'role', coalesce(role, ''),
+      'appMetadata', coalesce(raw_app_meta_data, '{}'), 'userMetadata', coalesce(raw_user_meta_data, '{}')
+    )
+    FROM auth.users
+    WHERE ${userMatch(idOrEmail)}
+    LIMIT 1;
+  `);
+  return rows.length > 0 ? JSON.parse(rows[0].join('|')) : null;
+}
+
+/**
+ * Create a confirmed email/password user
+ * @param {object} user
+ * @param {string} user.email
+ * @param {string} user.password
+ * @param {string} [user.role] - Postgres role in the user's JWTs (default: authenticated)
+ * @param {object} [user.metadata] - user_metadata (raw_user_meta_data)
+ * @param {string} [user.id] - Fixed UUID, e.g. so seeded rows can reference the user
+ * @returns {Promise<string>} - the new user's id
+ */
+export async function createUser({ email, password, role = 'authenticated', metadata = {}, id }) {
+  if (!email || !password) {
+    throw new Error('Users need an email and a password');
+  }
+
+  const address = email.trim().toLowerCase();
+  const userId = id ? `${quoteLiteral(id)}::uuid` : 'gen_random_uuid()';
+
+  // Token columns must be '' rather than NULL - GoTrue can't read NULLs there
+  const rows = await psqlQuery(`
+    WITH created AS (
+      INSERT INTO auth.users (
+        instance_id, id, aud, role, email, encrypted_password, email_confirmed_at,
+        raw_app_meta_data, raw_user_meta_data, created_at, updated_at,
+        confirmation_token, recovery_token, email_change, email_change_token_new
+      ) VALUES (
+        '00000000-0000-0000-0000-000000000000', ${userId}, 'authenticated', ${quoteLiteral(role)},
+        ${quoteLiteral(address)}, extensions.crypt(${quoteLiteral(password)}, extensions.gen_salt('bf')), now(),
+        '{"provider": "email", "providers": ["email"]}'::jsonb, ${quoteLiteral(JSON.stringify(metadata))}::jsonb,
+        now(), now(), '', '', '', ''
+      )
+      RETURNING id, email
+    )
+    INSERT INTO auth.identities (id, user_id, provider_id, provider, identity_data, last_sign_in_at, created_at, updated_at)
+    SELECT gen_random_uuid(), id, id::text, 'email',
+      jsonb_build_object('sub', id::text, 'email', email, 'email_verified', true), now(), now(), now()
+    FROM created
+    RETURNING user_id;
+  `);
+
+  return rows[0][0];
+}
+
+/**
+ * Delete a user by id or email (identities, sessions and tokens cascade)
+ * @param {string} idOrEmail
+ * @returns {Promise<boolean>} - false if no user matched
+ */
+export async function deleteUser(idOrEmail) {
+  const rows = await psqlQuery(`DELETE FROM auth.users WHERE ${userMatch(idOrEmail)} RETURNING id;`);
+  return rows.length > 0;
+}
+
+/**
+ * Create the users in config.testUsers that don't exist yet
+ * Existing users (matched by email) are left as they are
+ * @param {object} config - From getConfig()
+ * @returns {Promise<string[]>} - emails of the users that were created
+ */
+export async function ensureTestUsers(config) {
+  const created = [];
+  for (const user of config.testUsers || []) {
+    if (await findUser(user.email)) continue;
+    await createUser(user);
+    created.push(user.email.trim().toLowerCase());
+  }
+  return created;
+}
+
+/**
+ * INSERTs recreating users read from another project's admin API
+ * (GET /auth/v1/admin/users), with their identities. Everyone gets the same
+ * local password, hashed once per statement; users that already exist
+ * (same id or email) are skipped.
+ * @param {object[]} users - Admin API user objects
+ * @param {string} password
+ */
+export function authUsersSql(users, password) {
+  const userRows = users.map(user => [
+    quoteLiteral('00000000-0000-0000-0000-000000000000'),
+    sqlValue(user.id),
+    sqlValue(user.aud || 'authenticated'),
+    sqlValue(user.role || 'authenticated'),
+    sqlValue(user.email || null),   // '' would collide on the unique indexes
+    sqlValue(user.phone || null),
+    '(SELECT hash FROM credentials)',
+    sqlValue(user.email_confirmed_at),
+    sqlValue(user.phone_confirmed_at),
+    sqlValue(user.last_sign_in_at),
+    sqlValue(user.app_metadata || {}),
+    sqlValue(user.user_metadata || {}),
+    sqlValue(user.banned_until),
+    sqlValue(user.created_at),
+    sqlValue(user.updated_at),
+    "'', '', '', ''",
+  ]);
+
+  const identityRows = users.flatMap(user => (user.identities || []).map(identity => [
+    // Older APIs have no identity_id: their id is the provider's id
+    identity.identity_id ? sqlValue(identity.identity_id) : 'gen_random_uuid()',
+    sqlValue(identity.id),
+    sqlValue(user.id),
+    sqlValue(identity.identity_data || {}),
+    sqlValue(identity.provider),
+    sqlValue(identity.last_sign_in_at),
+    sqlValue(identity.created_at),
+    sqlValue(identity.updated_at),
+  ]));
+
+  let sql = `-- auth.users
+WITH credentials AS MATERIALIZED (
+  SELECT extensions.crypt(${quoteLiteral(password)}, extensions.gen_salt('bf')) AS hash
+)
+INSERT INTO auth.users (
+  instance_id, id, aud, role, email, phone, encrypted_password,
+  email_confirmed_at, phone_confirmed_at, last_sign_in_at, raw_app_meta_data, raw_user_meta_data,
+  banned_until, created_at, updated_at, confirmation_token, recovery_token, email_change, email_change_token_new
+) VALUES
+${userRows.map(values => `  (${values.join(', ')})`).join(',\n')}
+ON CONFLICT DO NOTHING;
+
+`;
+
+  if (identityRows.length > 0) {
+    sql += `-- auth.identities
+INSERT INTO auth.identities (id, provider_id, user_id, identity_data, provider, last_sign_in_at, created_at, updated_at) VALUES
+${identityRows.map(values => `  (${values.join(', ')})`).join(',\n')}
+ON CONFLICT DO NOTHING;
+
+`;
+  }
+
+  return sql;
+}
+
+/**
+ * SQL literal for a JSON value from the API (objects become JSON text)
+ */
+function sqlValue(value) {
+  if (value === null || value === undefined) return 'NULL';
+  return quoteLiteral(typeof value === 'object' ? JSON.stringify(value) : value);
+}
+
+/**
+ * WHERE condition matching a user by id or (case-insensitive) email
+ */
+function userMatch(idOrEmail) {
+  const value = idOrEmail.trim();
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+    return `id = ${quoteLiteral(value)}::uuid`;
+  }
+  return `lower(email) = ${quoteLiteral(value.toLowerCase())}`;
+}